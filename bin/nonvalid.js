@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const nonvalid = require('../src/nonvalid');
+
+const exitCodes = { valid: 0, invalid: 1, error: 2 };
+const outputFormats = ['text', 'json'];
+const pathFormats = ['js', 'pointer', 'jsonpath', 'dotted'];
+
+const usage = `Usage: nonvalid [options] <schema-module> [file ...]
+
+Validates JSON files (or the standard input if no files or "-" are given)
+against the schema exported by <schema-module>.
+
+Options:
+  --format <text|json>                   output format (default: text)
+  --path <js|pointer|jsonpath|dotted>    error path format (default: js)
+  --help                                 show this message
+
+Exit codes: 0 if all inputs are valid, 1 if some are not, 2 on usage or schema errors
+and if some inputs cannot be read or validated.`;
+
+const parseArguments = args => {
+    const options = { format: 'text', path: 'js', help: false };
+    const operands = [];
+    const choose = (name, allowed, value) => {
+        if (!allowed.includes(value)) {
+            throw new Error(`--${name} must be one of: ${allowed.join(', ')}`);
+        }
+        options[name] = value;
+    };
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        const [name, inline] = arg.startsWith('--') ? arg.slice(2).split(/=([^]*)/) : [null];
+        if (arg === '--') {
+            operands.push(...args.slice(index + 1));
+            break;
+        } else if (name === 'help' || arg === '-h') {
+            options.help = true;
+        } else if (name === 'format' || name === 'path') {
+            const value = inline !== undefined ? inline : args[++index];
+            choose(name, name === 'format' ? outputFormats : pathFormats, value);
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            operands.push(arg);
+        }
+    }
+    if (!options.help && operands.length === 0) {
+        throw new Error('Schema module is not specified');
+    }
+    const [schemaModule, ...files] = operands;
+    return { options, schemaModule, files: files.length > 0 ? files : ['-'] };
+};
+
+const loadSchema = async (file, nv) => {
+    const exported = (await import(pathToFileURL(path.resolve(file)).href)).default;
+    if (exported === undefined) {
+        throw new Error(`${file} has no default export`);
+    }
+    return typeof exported === 'function' ? exported(nv) : exported;
+};
+
+const readInput = async file => {
+    if (file !== '-') {
+        return fs.promises.readFile(file, 'utf8');
+    }
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    for await (const chunk of process.stdin) {
+        text += chunk;
+    }
+    return text;
+};
+
+const describeError = error => {
+    if (typeof error === 'string') {
+        return error;
+    } else if (error instanceof Error) {
+        return error.message;
+    }
+    try {
+        const json = JSON.stringify(error);
+        return json === undefined ? String(error) : json;
+    } catch(e) {
+        return String(error);
+    }
+};
+
+const toJSON = error => {
+    if (error instanceof nonvalid.ValidationError) {
+        return { kind: error.kind, message: error.message };
+    }
+    return typeof error === 'string' || typeof error === 'boolean' ? error : describeError(error);
+};
+
+const validate = async (compiled, nv, file, format) => {
+    const name = file === '-' ? '<stdin>' : file;
+    const result = (status, error, errorPath = null) => ({
+        file: name, valid: status === 'valid', status, error, errorPath
+    });
+    // Unreadable inputs, throwing callbacks, and schema errors found during validation only stop their
+    // own file, but unlike malformed JSON they are not a verdict on the input
+    let text, value, error;
+    try {
+        text = await readInput(file);
+    } catch(e) {
+        return result('error', describeError(e));
+    }
+    try {
+        value = JSON.parse(text);
+    } catch(e) {
+        return result('invalid', describeError(e));
+    }
+    try {
+        error = await compiled.async(value);
+    } catch(e) {
+        return result('error', describeError(e));
+    }
+    return error
+        ? result('invalid', error, nv.errorPath({ format, name: 'value' }))
+        : result('valid', false);
+};
+
+const report = (results, options) => {
+    if (options.format === 'json') {
+        const entries = results.map(result => ({ ...result, error: toJSON(result.error) }));
+        return JSON.stringify({ valid: results.every(result => result.valid), results: entries }, null, 2);
+    }
+    return results.map(({ file, status, error, errorPath }) => {
+        if (status === 'valid') {
+            return `${file}: valid`;
+        }
+        const location = errorPath === null ? '' : ` at ${errorPath === '' ? '(root)' : errorPath}`;
+        return `${file}: ${status}${location}${error === true ? '' : `: ${describeError(error)}`}`;
+    }).join('\n');
+};
+
+const main = async args => {
+    let parsed;
+    try {
+        parsed = parseArguments(args);
+    } catch(e) {
+        console.error(`nonvalid: ${e.message}\n\n${usage}`);
+        return exitCodes.error;
+    }
+    const { options, schemaModule, files } = parsed;
+    if (options.help) {
+        console.log(usage);
+        return exitCodes.valid;
+    }
+    const nv = nonvalid.instance();
+    let compiled;
+    try {
+        compiled = nv.compile(await loadSchema(schemaModule, nv));
+    } catch(e) {
+        console.error(`nonvalid: ${e.message}`);
+        return exitCodes.error;
+    }
+    const results = [];
+    for (const file of files) {
+        results.push(await validate(compiled, nv, file, options.path));
+    }
+    console.log(report(results, options));
+    const worst = ['error', 'invalid'].find(status => results.some(result => result.status === status));
+    return exitCodes[worst || 'valid'];
+};
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,420 @@
+'use strict';
+
+const typeCheckers = {
+    null: v => v === null,
+    boolean: v => typeof v === 'boolean',
+    number: v => typeof v === 'number' && isFinite(v),
+    integer: v => Number.isInteger(v),
+    string: v => typeof v === 'string',
+    array: v => Array.isArray(v),
+    object: v => typeof v === 'object' && v !== null && !Array.isArray(v)
+};
+
+const unsupportedKeywords = [
+    'not', 'if', 'then', 'else', 'contains', 'minContains', 'maxContains',
+    'propertyNames', 'dependencies', 'dependentRequired', 'dependentSchemas',
+    'unevaluatedItems', 'unevaluatedProperties', '$dynamicRef', '$recursiveRef'
+];
+
+const matcherAnnotations = {
+    number: { type: 'number' },
+    string: { type: 'string' },
+    boolean: { type: 'boolean' },
+    null: { type: 'null' },
+    array: { type: 'array' },
+    object: { type: 'object' },
+    integer: { type: 'integer' },
+    // The pattern admits what `date-time` does not: times without seconds or without a time zone
+    isoDate: {
+        type: 'string',
+        anyOf: [
+            { format: 'date' },
+            { format: 'date-time' },
+            { pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?$' }
+        ]
+    },
+    email: { type: 'string', format: 'email' },
+    uuid: { type: 'string', format: 'uuid' },
+    url: { type: 'string', format: 'uri' }
+};
+
+const finite = (keyword, bound) => {
+    const number = Number(bound);
+    const exact = isFinite(number) && (typeof bound !== 'bigint' || BigInt(number) === bound);
+    return exact ? { [keyword]: number } : {};
+};
+
+// Flags that JSON Schema patterns, which always use the `u` flag, cannot express
+const foreignFlags = /[imsv]/;
+
+const factoryAnnotations = {
+    range: (min, max) => ({ type: 'number', ...finite('minimum', min), ...finite('maximum', max) }),
+    size: (min, max) => ({
+        ...min > 0 && { ...finite('minLength', min), ...finite('minItems', min) },
+        ...finite('maxLength', max), ...finite('maxItems', max)
+    }),
+    matches: regexp => foreignFlags.test(regexp.flags)
+        ? { type: 'string', $comment: `Matches /${regexp.source}/${regexp.flags.replace(/[gy]/g, '')}` }
+        : { type: 'string', pattern: regexp.source },
+    oneOfValues: values => values.every(isJSONLiteral) ? { enum: [...values] } : {}
+};
+
+const dialect = 'https://json-schema.org/draft/2020-12/schema';
+
+const hasProperty = (object, property) => Object.hasOwnProperty.call(object, property);
+
+const assignMember = (container, key, value) => {
+    if (key === '__proto__') {
+        Object.defineProperty(container, key, {
+            value, writable: true, enumerable: true, configurable: true
+        });
+    } else {
+        container[key] = value;
+    }
+};
+
+const equal = (a, b) => {
+    if (a === b) {
+        return true;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => equal(item, b[index]));
+    }
+    if (typeCheckers.object(a) && typeCheckers.object(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => hasProperty(b, key) && equal(a[key], b[key]));
+    }
+    return false;
+};
+
+const hasAny = (node, keywords) => keywords.some(keyword => hasProperty(node, keyword));
+
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapePointer = segment => segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+const firstError = (value, checks) => {
+    for (const check of checks) {
+        const error = check(value);
+        if (error) {
+            return error;
+        }
+    }
+    return false;
+};
+
+const checkAll = (nv, schemas) => v => firstError(v, schemas.map(schema => () => nv(schema)));
+
+function fromJSONSchema(nv, document) {
+    const resolved = new Map();
+
+    const resolve = (ref, location) => {
+        if (!ref.startsWith('#')) {
+            throw new Error(`Only local references are supported, found "${ref}" at ${location}`);
+        }
+        if (!resolved.has(ref)) {
+            let node = document;
+            const pointer = decodeURIComponent(ref.slice(1));
+            for (const segment of pointer === '' ? [] : pointer.slice(1).split('/').map(unescapePointer)) {
+                if (node === null || typeof node !== 'object' || !hasProperty(node, segment)) {
+                    throw new Error(`Cannot resolve reference "${ref}" at ${location}`);
+                }
+                node = node[segment];
+            }
+            resolved.set(ref, null);
+            resolved.set(ref, convert(node, ref));
+        }
+    };
+
+    const convertObject = (node, location) => {
+        const properties = node.properties || {};
+        const patterns = Object.entries(node.patternProperties || {})
+            .map(([pattern, subnode]) => [
+                new RegExp(pattern, 'u'),
+                convert(subnode, `${location}/patternProperties/${escapePointer(pattern)}`)
+            ]);
+        const additional = hasProperty(node, 'additionalProperties')
+            ? convert(node.additionalProperties, `${location}/additionalProperties`, 'additionalProperties')
+            : () => false;
+        const matchingPatterns = key => typeCheckers.string(key)
+            ? patterns.filter(([pattern]) => pattern.test(key)).map(([, subschema]) => subschema)
+            : [];
+        const inspectOther = v => {
+            const matching = matchingPatterns(nv.key());
+            return matching.length === 0 ? nv(additional) : checkAll(nv, matching)(v);
+        };
+        const required = node.required || [];
+        const schema = { [nv.other]: inspectOther };
+        for (const key of new Set([...Object.keys(properties), ...required])) {
+            let subschema = inspectOther;
+            if (hasProperty(properties, key)) {
+                // Pattern properties apply to the listed properties they match as well
+                const matching = matchingPatterns(key);
+                subschema = convert(properties[key], `${location}/properties/${escapePointer(key)}`);
+                subschema = matching.length === 0 ? subschema : checkAll(nv, [subschema, ...matching]);
+            }
+            assignMember(schema, key, required.includes(key)
+                ? () => nv.undefined() && 'required' || nv(subschema)
+                : () => !nv.undefined() && nv(subschema));
+        }
+        return schema;
+    };
+
+    const convertArray = (node, location) => {
+        let prefix = [];
+        let rest = () => false;
+        let restKeyword = 'items';
+        if (Array.isArray(node.items)) {
+            prefix = node.items.map((subnode, index) => convert(subnode, `${location}/items/${index}`));
+            restKeyword = 'additionalItems';
+            if (hasProperty(node, 'additionalItems')) {
+                rest = convert(node.additionalItems, `${location}/additionalItems`, restKeyword);
+            }
+        } else {
+            if (hasProperty(node, 'prefixItems')) {
+                prefix = node.prefixItems
+                    .map((subnode, index) => convert(subnode, `${location}/prefixItems/${index}`));
+            }
+            if (hasProperty(node, 'items')) {
+                rest = convert(node.items, `${location}/items`, restKeyword);
+            }
+        }
+        return value => [...prefix.slice(0, value.length), nv.end, rest];
+    };
+
+    const convert = (node, location, keyword = 'false') => {
+        if (node === true) {
+            return nv.annotate(() => false, true);
+        }
+        if (node === false) {
+            return nv.annotate(() => keyword, false);
+        }
+        if (!typeCheckers.object(node)) {
+            throw new Error(`Expected a schema object or a boolean at ${location}`);
+        }
+        for (const unsupported of unsupportedKeywords) {
+            if (hasProperty(node, unsupported)) {
+                throw new Error(`Unsupported JSON Schema keyword "${unsupported}" at ${location}`);
+            }
+        }
+        const checks = [];
+        if (hasProperty(node, '$ref')) {
+            const ref = node.$ref;
+            resolve(ref, location);
+            checks.push(() => nv(resolved.get(ref)));
+        }
+        if (hasProperty(node, 'allOf')) {
+            const schemas = node.allOf.map((subnode, index) => convert(subnode, `${location}/allOf/${index}`));
+            checks.push(checkAll(nv, schemas));
+        }
+        for (const keyword of ['anyOf', 'oneOf']) {
+            if (hasProperty(node, keyword)) {
+                const alternatives = nv[keyword](...node[keyword]
+                    .map((subnode, index) => convert(subnode, `${location}/${keyword}/${index}`)));
+                checks.push(() => nv(alternatives) && keyword);
+            }
+        }
+        if (hasProperty(node, 'type')) {
+            const types = [].concat(node.type);
+            for (const type of types) {
+                if (!hasProperty(typeCheckers, type)) {
+                    throw new Error(`Unknown type "${type}" at ${location}/type`);
+                }
+            }
+            checks.push(v => !types.some(type => typeCheckers[type](v)) && 'type');
+        }
+        if (hasProperty(node, 'enum')) {
+            checks.push(v => !node.enum.some(item => equal(item, v)) && 'enum');
+        }
+        if (hasProperty(node, 'const')) {
+            checks.push(v => !equal(node.const, v) && 'const');
+        }
+        const numeric = check => v => typeCheckers.number(v) && check(v);
+        if (hasProperty(node, 'minimum')) {
+            checks.push(node.exclusiveMinimum === true
+                ? numeric(v => v <= node.minimum && 'exclusiveMinimum')
+                : numeric(v => v < node.minimum && 'minimum'));
+        }
+        if (typeof node.exclusiveMinimum === 'number') {
+            checks.push(numeric(v => v <= node.exclusiveMinimum && 'exclusiveMinimum'));
+        }
+        if (hasProperty(node, 'maximum')) {
+            checks.push(node.exclusiveMaximum === true
+                ? numeric(v => v >= node.maximum && 'exclusiveMaximum')
+                : numeric(v => v > node.maximum && 'maximum'));
+        }
+        if (typeof node.exclusiveMaximum === 'number') {
+            checks.push(numeric(v => v >= node.exclusiveMaximum && 'exclusiveMaximum'));
+        }
+        if (hasProperty(node, 'multipleOf')) {
+            checks.push(numeric(v => !Number.isInteger(v / node.multipleOf) && 'multipleOf'));
+        }
+        const textual = check => v => typeCheckers.string(v) && check([...v].length, v);
+        if (hasProperty(node, 'minLength')) {
+            checks.push(textual(length => length < node.minLength && 'minLength'));
+        }
+        if (hasProperty(node, 'maxLength')) {
+            checks.push(textual(length => length > node.maxLength && 'maxLength'));
+        }
+        if (hasProperty(node, 'pattern')) {
+            const pattern = new RegExp(node.pattern, 'u');
+            checks.push(textual((length, v) => !pattern.test(v) && 'pattern'));
+        }
+        if (hasProperty(node, 'minItems')) {
+            checks.push(v => typeCheckers.array(v) && v.length < node.minItems && 'minItems');
+        }
+        if (hasProperty(node, 'maxItems')) {
+            checks.push(v => typeCheckers.array(v) && v.length > node.maxItems && 'maxItems');
+        }
+        if (node.uniqueItems === true) {
+            const duplicated = (item, index, array) => array.findIndex(other => equal(item, other)) !== index;
+            checks.push(v => typeCheckers.array(v) && v.some(duplicated) && 'uniqueItems');
+        }
+        if (hasAny(node, ['items', 'prefixItems', 'additionalItems'])) {
+            const build = convertArray(node, location);
+            checks.push(v => typeCheckers.array(v) && nv(build(v)));
+        }
+        const sized = check => v => typeCheckers.object(v) && check(Object.keys(v).length);
+        if (hasProperty(node, 'minProperties')) {
+            checks.push(sized(size => size < node.minProperties && 'minProperties'));
+        }
+        if (hasProperty(node, 'maxProperties')) {
+            checks.push(sized(size => size > node.maxProperties && 'maxProperties'));
+        }
+        if (hasAny(node, ['properties', 'required', 'additionalProperties', 'patternProperties'])) {
+            const schema = convertObject(node, location);
+            checks.push(v => typeCheckers.object(v) && nv(schema));
+        }
+        return nv.annotate(v => firstError(v, checks), location === '#' ? node : withoutDefinitions(node));
+    };
+
+    return convert(document, '#');
+}
+
+const withoutDefinitions = node => {
+    const copy = { ...node };
+    delete copy.$defs;
+    delete copy.definitions;
+    return copy;
+};
+
+const isJSONLiteral = v => v === null || typeCheckers.boolean(v) || typeCheckers.string(v) || typeCheckers.number(v);
+
+function toJSONSchema(nv, schema, { annotationOf, nodeKind, definitionOf, patternOf, isValueObject }) {
+    const definitions = new Map();
+
+    // Callbacks exported as `true` or `{}` say nothing about the value, not even that it is present
+    const constrains = annotation => annotation !== undefined && annotation !== true
+        && !(typeCheckers.object(annotation) && Object.keys(annotation).length === 0);
+
+    const isRequired = schema => typeof schema === 'function'
+        ? constrains(annotationOf(schema))
+        : schema !== undefined && nodeKind(schema) !== 'optional' && nodeKind(schema) !== 'default';
+
+    const convertObject = schema => {
+        const result = { type: 'object', properties: {}, required: [] };
+        for (const [key, subschema] of Object.entries(schema)) {
+            result.properties[key] = convert(subschema);
+            if (isRequired(subschema)) {
+                result.required.push(key);
+            }
+        }
+        // Keys matched by patterns whose flags JSON Schema cannot express are left to additionalProperties
+        const foreign = [];
+        for (const key of Object.getOwnPropertySymbols(schema)) {
+            const pattern = patternOf(key);
+            if (pattern && foreignFlags.test(pattern.flags)) {
+                foreign.push([pattern, convert(schema[key])]);
+            } else if (pattern) {
+                result.patternProperties = result.patternProperties || {};
+                result.patternProperties[pattern.source] = convert(schema[key]);
+            }
+        }
+        const additional = hasProperty(schema, nv.other) ? convert(schema[nv.other]) : false;
+        result.additionalProperties = foreign.length === 0
+            ? additional
+            : { anyOf: [additional, ...foreign.map(([, subschema]) => subschema)] };
+        if (foreign.length > 0) {
+            const patterns = foreign.map(([pattern]) => pattern.toString()).join(', ');
+            result.$comment = `Keys matching ${patterns} are validated under additionalProperties`;
+        }
+        if (result.required.length === 0) {
+            delete result.required;
+        }
+        return result;
+    };
+
+    const convertArray = schema => {
+        const end = schema.indexOf(nv.end);
+        const positions = end === -1 ? schema : schema.slice(0, end);
+        // The shape error and the catch-other callback may follow nv.end in either order
+        const trailing = end === -1 ? [] : schema.slice(end + 1);
+        const rest = trailing.find(item => typeof item === 'function');
+        const result = { type: 'array' };
+        if (positions.length > 0) {
+            result.prefixItems = positions.map(convert);
+        }
+        result.items = typeof rest === 'function' ? convert(rest) : false;
+        let required = positions.length;
+        while (required > 0 && !isRequired(positions[required - 1])) {
+            required--;
+        }
+        if (required > 0) {
+            result.minItems = required;
+        }
+        return result;
+    };
+
+    const convert = schema => {
+        if (typeof schema === 'function') {
+            const annotation = annotationOf(schema);
+            return annotation === undefined ? {} : JSON.parse(JSON.stringify(annotation));
+        }
+        const kind = nodeKind(schema);
+        if (kind === 'optional') {
+            return convert(schema.schemas[0]);
+        }
+        if (kind === 'default') {
+            const converted = convert(schema.schemas[0]);
+            const fallback = JSON.stringify(schema.fallback);
+            return typeof converted === 'object' && fallback !== undefined
+                ? { ...converted, default: JSON.parse(fallback) }
+                : converted;
+        }
+        if (kind === 'anyOf' || kind === 'oneOf') {
+            return { [kind]: schema.schemas.map(convert) };
+        }
+        if (kind === 'ref') {
+            if (!definitions.has(schema.name)) {
+                definitions.set(schema.name, null);
+                definitions.set(schema.name, convert(definitionOf(schema.name)));
+            }
+            return { $ref: `#/$defs/${encodeURIComponent(escapePointer(schema.name))}` };
+        }
+        if (Array.isArray(schema)) {
+            return convertArray(schema);
+        }
+        if (schema instanceof Map || schema instanceof Set || isValueObject(schema)) {
+            return false;
+        }
+        if (typeCheckers.object(schema)) {
+            return convertObject(schema);
+        }
+        if (typeof schema === 'bigint') {
+            throw new Error('BigInt literals cannot be exported to JSON Schema');
+        }
+        return isJSONLiteral(schema) ? { const: schema } : false;
+    };
+
+    const result = convert(schema);
+    if (definitions.size === 0) {
+        return typeof result === 'boolean' ? result : { $schema: dialect, ...result };
+    }
+    return {
+        $schema: dialect,
+        ...typeof result === 'boolean' ? { [result ? 'allOf' : 'not']: [{}] } : result,
+        $defs: Object.fromEntries(definitions)
+    };
+}
+
+module.exports = { fromJSONSchema, toJSONSchema, matcherAnnotations, factoryAnnotations };
@@ -1,5 +1,44 @@
 'use strict';
 
+const { fromJSONSchema, toJSONSchema, matcherAnnotations, factoryAnnotations } = require('./json-schema');
+const { formatPath, parsePath } = require('./paths');
+const { createReader } = require('./stream');
+
+const patterns = {
+    isoDate: new RegExp('^(\\d{4})-(\\d{2})-(\\d{2})'
+        + '(?:T(\\d{2}):(\\d{2})(?::(\\d{2})(?:\\.\\d+)?)?(?:Z|[+-](\\d{2}):(\\d{2}))?)?$'),
+    email: /^[^\s@]+@[a-z\d](?:[a-z\d-]*[a-z\d])?(?:\.[a-z\d](?:[a-z\d-]*[a-z\d])?)+$/i,
+    uuid: /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i
+};
+
+const isCalendarDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const isIsoDate = v => {
+    const match = typeof v === 'string' && v.match(patterns.isoDate);
+    if (!match) {
+        return false;
+    }
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0, offsetHours = 0, offsetMinutes = 0] =
+        match.slice(1).map(part => part === undefined ? undefined : Number(part));
+    return isCalendarDate(year, month, day) && hours < 24 && minutes < 60 && seconds < 60
+        && offsetHours < 24 && offsetMinutes < 60;
+};
+
+const isUrl = v => {
+    if (typeof v !== 'string') {
+        return false;
+    }
+    try {
+        new URL(v);
+        return true;
+    } catch(e) {
+        return false;
+    }
+};
+
 const matchers = {
     number: v => typeof v === 'number' && isFinite(v),
     string: v => typeof v === 'string',
@@ -12,9 +51,77 @@ const matchers = {
     function: v => typeof v === 'function',
     array: v => Array.isArray(v),
     object: v => typeof v === 'object' && v !== null && !Array.isArray(v),
+    map: v => v instanceof Map,
+    set: v => v instanceof Set,
+    date: v => v instanceof Date && !isNaN(v.getTime()),
+    regexp: v => v instanceof RegExp,
+    arrayBuffer: v => v instanceof ArrayBuffer,
+    typedArray: v => ArrayBuffer.isView(v) && !(v instanceof DataView),
+    buffer: v => typeof Buffer === 'function' && Buffer.isBuffer(v),
+    integer: v => Number.isInteger(v),
+    isoDate: isIsoDate,
+    email: v => typeof v === 'string' && patterns.email.test(v),
+    uuid: v => typeof v === 'string' && patterns.uuid.test(v),
+    url: isUrl,
     get: v => v
 };
 
+const isBound = v => typeof v === 'number' && !isNaN(v) || typeof v === 'bigint';
+
+const checkBounds = (name, min, max) => {
+    if (!isBound(min) || !isBound(max)) {
+        throw new Error(`${name}() expects numeric bounds`);
+    }
+    if (min > max) {
+        throw new Error(`${name}() expects the lower bound not to exceed the upper one`);
+    }
+};
+
+const sizeOf = v => {
+    if (typeof v === 'string') {
+        return [...v].length;
+    } else if (Array.isArray(v)) {
+        return v.length;
+    } else if (v instanceof Map || v instanceof Set) {
+        return v.size;
+    }
+    return undefined;
+};
+
+const matcherFactories = {
+    range: (min = -Infinity, max = Infinity) => {
+        checkBounds('range', min, max);
+        return v => (matchers.number(v) || matchers.bigint(v)) && v >= min && v <= max;
+    },
+    size: (min = 0, max = Infinity) => {
+        checkBounds('size', min, max);
+        return v => {
+            const size = sizeOf(v);
+            return size !== undefined && size >= min && size <= max;
+        };
+    },
+    matches: regexp => {
+        if (!(regexp instanceof RegExp)) {
+            throw new Error('matches() expects a regular expression');
+        }
+        const pattern = new RegExp(regexp.source, regexp.flags.replace(/[gy]/g, ''));
+        return v => typeof v === 'string' && pattern.test(v);
+    },
+    oneOfValues: values => {
+        if (!Array.isArray(values)) {
+            throw new Error('oneOfValues() expects an array of values');
+        }
+        const list = [...values];
+        return v => list.includes(v);
+    },
+    instanceOf: constructor => {
+        if (typeof constructor !== 'function') {
+            throw new Error('instanceOf() expects a class');
+        }
+        return v => v instanceof constructor;
+    }
+};
+
 const symbols = {
     other: Symbol('nonvalid.other'),
     error: Symbol('nonvalid.error'),
@@ -22,253 +129,1766 @@ const symbols = {
 };
 const symbolList = Object.values(symbols);
 
+// Equal regular expressions share a pattern key. Where the engine can hold symbols weakly, keys are only
+// remembered while something refers to them, so that patterns built on the fly don't pile up.
+const holdsSymbolsWeakly = (() => {
+    try {
+        new WeakRef(Symbol('nonvalid.probe'));
+        return true;
+    } catch(e) {
+        return false;
+    }
+})();
+const patternSymbols = new Map();
+const patternRegExps = holdsSymbolsWeakly ? new WeakMap() : new Map();
+const forgottenPatterns = holdsSymbolsWeakly ? new FinalizationRegistry(description => {
+    const known = patternSymbols.get(description);
+    if (known && known.deref() === undefined) {
+        patternSymbols.delete(description);
+    }
+}) : null;
+
+const patternKey = regexp => {
+    const pattern = new RegExp(regexp.source, regexp.flags.replace(/[gy]/g, ''));
+    const description = pattern.toString();
+    const known = patternSymbols.get(description);
+    const existing = forgottenPatterns ? known && known.deref() : known;
+    if (existing) {
+        return existing;
+    }
+    const key = Symbol(`nonvalid.pattern(${description})`);
+    patternRegExps.set(key, pattern);
+    if (forgottenPatterns) {
+        patternSymbols.set(description, new WeakRef(key));
+        forgottenPatterns.register(key, description);
+    } else {
+        patternSymbols.set(description, key);
+    }
+    return key;
+};
+const isPatternKey = key => patternRegExps.has(key);
+const isSpecialKey = key => matchers.symbol(key) && (symbolList.includes(key) || isPatternKey(key));
+
 const privateSymbols = {
-    unwrap: Symbol('nonvalid.unwrap')
+    unwrap: Symbol('nonvalid.unwrap'),
+    node: Symbol('nonvalid.node')
+};
+
+const isValueObject = value => value instanceof Date || value instanceof RegExp
+    || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+const isPlainObject = value => {
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === null || Object.getPrototypeOf(prototype) === null;
+};
+const bytesOf = value => ArrayBuffer.isView(value)
+    ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+    : new Uint8Array(value);
+const sameValueObject = (a, b) => {
+    if (!isValueObject(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+        return false;
+    } else if (a instanceof Date) {
+        return Object.is(a.getTime(), b.getTime());
+    } else if (a instanceof RegExp) {
+        return a.source === b.source && a.flags === b.flags;
+    }
+    const [first, second] = [bytesOf(a), bytesOf(b)];
+    return first.length === second.length && first.every((byte, index) => byte === second[index]);
+};
+
+const isThenable = value => (typeof value === 'object' && value !== null || typeof value === 'function')
+    && typeof value.then === 'function';
+// Carries the state of an asynchronous validation over to what its callbacks run after an await. The
+// async_hooks module is Node-only; elsewhere, overlapping validations cannot tell such calls apart.
+const asyncContext = (() => {
+    const hooks = typeof process === 'object' && typeof process.getBuiltinModule === 'function'
+        ? process.getBuiltinModule('async_hooks')
+        : null;
+    return hooks ? new hooks.AsyncLocalStorage() : null;
+})();
+const abortReason = signal => signal.reason !== undefined ? signal.reason : new Error('Validation aborted');
+const hasProperty = (object, property) => Object.hasOwnProperty.call(object, property);
+const assignMember = (container, key, value) => {
+    if (key === '__proto__') {
+        Object.defineProperty(container, key, {
+            value, writable: true, enumerable: true, configurable: true
+        });
+    } else {
+        container[key] = value;
+    }
+};
+const allEntries = object => [
+    ...Object.entries(object),
+    ...Object.getOwnPropertySymbols(object).map(key => [key, object[key]])
+];
+
+const describeValue = value => {
+    if (matchers.string(value)) {
+        return JSON.stringify(value);
+    } else if (matchers.bigint(value)) {
+        return `${value}n`;
+    } else if (value instanceof Date) {
+        return matchers.date(value) ? `date ${value.toISOString()}` : 'an invalid date';
+    } else if (matchers.regexp(value)) {
+        return String(value);
+    } else if (isValueObject(value)) {
+        const name = value.constructor.name;
+        return `${/^[AEIO]/.test(name) ? 'an' : 'a'} ${name}`;
+    } else if (matchers.array(value)) {
+        return 'an array';
+    } else if (matchers.map(value)) {
+        return 'a map';
+    } else if (matchers.set(value)) {
+        return 'a set';
+    } else if (matchers.object(value)) {
+        const constructor = isPlainObject(value) ? undefined : Object.getPrototypeOf(value).constructor;
+        return matchers.function(constructor) && constructor.name
+            ? `an instance of ${constructor.name}`
+            : 'an object';
+    } else if (matchers.function(value)) {
+        return 'a function';
+    }
+    return String(value);
+};
+
+const describeError = (kind, expected, received, path) => {
+    switch (kind) {
+        case 'literal-mismatch':
+            return `Expected ${describeValue(expected)}, received ${describeValue(received)}`;
+        case 'shape-mismatch':
+            return `Expected ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}, `
+                + `received ${describeValue(received)}`;
+        case 'unexpected-key':
+        case 'unexpected-index':
+            return `Unexpected ${kind === 'unexpected-key' ? 'key' : 'index'} `
+                + `${describeValue(path[path.length - 1])}`;
+        case 'duplicate-value':
+            return `Duplicate ${describeValue(received)} (first found at ${formatPath(expected, 'value')})`;
+        case 'missing-reference':
+            return `No match for ${describeValue(received)} in ${formatPath(expected, 'value')}`;
+        default:
+            return `Missing member ${describeValue(expected)}`;
+    }
+};
+
+class ValidationError extends Error {
+    constructor(kind, expected, received, path) {
+        super(`${describeError(kind, expected, received, path)} at ${formatPath(path, 'value')}`);
+        this.name = 'ValidationError';
+        this.kind = kind;
+        this.expected = expected;
+        this.received = received;
+        this.path = path;
+    }
+
+    toJSON() {
+        const { name, kind, message, expected, received, path } = this;
+        return { name, kind, message, expected, received, path };
+    }
+}
+
+class Message {
+    constructor(code, params) {
+        this.code = code;
+        this.params = params;
+        Object.freeze(this);
+    }
+}
+
+const placeholder = /\{\{|\}\}|\{errorPath(?::([^{}]*))?\}|\{([^{}]+)\}/g;
+
+const renderTemplate = (template, { code, params }, path) => template.replace(
+    placeholder,
+    (match, format, name) => {
+        if (matchers.defined(name)) {
+            if (!hasProperty(params, name)) {
+                throw new Error(`Message "${code}" requires the "${name}" parameter`);
+            }
+            return String(params[name]);
+        } else if (match.length === 2) {
+            return match[0];
+        } else if (!path) {
+            throw new Error(`Message "${code}" refers to the error path, but there is none`);
+        }
+        return formatPath(path, { format: format || 'js', name: 'value' });
+    }
+);
+
+const createNode = (kind, schemas, properties = {}) => Object.freeze({
+    [privateSymbols.node]: kind, schemas: Object.freeze(schemas), ...properties
+});
+const nodeKind = schema => matchers.object(schema) && hasProperty(schema, privateSymbols.node)
+    ? schema[privateSymbols.node]
+    : undefined;
+const isOptional = schema => nodeKind(schema) === 'optional';
+const hasDefault = schema => nodeKind(schema) === 'default';
+const isWrapper = schema => isOptional(schema) || hasDefault(schema);
+// Every missing key gets its own copy of the default value, so that outputs don't share mutable parts.
+// Arrays, plain objects, maps, sets and dates are copied; other objects are shared.
+const cloneValue = (value, copies = new Map()) => {
+    if (typeof value !== 'object' || value === null) {
+        return value;
+    } else if (copies.has(value)) {
+        return copies.get(value);
+    } else if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    let copy = value;
+    if (matchers.array(value)) {
+        copy = [];
+    } else if (matchers.map(value)) {
+        copy = new Map();
+    } else if (matchers.set(value)) {
+        copy = new Set();
+    } else if (isPlainObject(value)) {
+        copy = Object.create(Object.getPrototypeOf(value));
+    }
+    copies.set(value, copy);
+    if (matchers.map(value)) {
+        value.forEach((member, key) => copy.set(key, cloneValue(member, copies)));
+    } else if (matchers.set(value)) {
+        value.forEach(member => copy.add(cloneValue(member, copies)));
+    } else if (copy !== value) {
+        for (const [key, member] of allEntries(value)) {
+            assignMember(copy, key, cloneValue(member, copies));
+        }
+    }
+    return copy;
+};
+const fallbackOf = schema => hasDefault(schema) ? cloneValue(schema.fallback) : undefined;
+const isContainer = schema => matchers.object(schema) && !isValueObject(schema) || matchers.array(schema);
+
+const schemaKind = schema => {
+    if (nodeKind(schema)) {
+        return nodeKind(schema);
+    } else if (matchers.function(schema)) {
+        return 'callback';
+    } else if (isValueObject(schema)) {
+        return 'literal';
+    } else if (matchers.map(schema)) {
+        return 'map';
+    } else if (matchers.set(schema)) {
+        return 'set';
+    } else if (matchers.object(schema)) {
+        return 'object';
+    } else if (matchers.array(schema)) {
+        return 'array';
+    }
+    return 'literal';
+};
+
+const describeResult = result => {
+    if (!result) {
+        return 'passed';
+    } else if (result === true) {
+        return 'failed';
+    }
+    return result instanceof Error ? `failed: ${result.message}` : `failed with ${describeValue(result)}`;
 };
 
-const hasProperty = (object, property) => Object.hasOwnProperty.call(object, property);
-const allEntries = object => [
-    ...Object.entries(object),
-    ...Object.getOwnPropertySymbols(object).map(key => [key, object[key]])
-];
+const formatTrace = trace => {
+    if (!matchers.object(trace) || !matchers.array(trace.children)) {
+        throw new Error('formatTrace() expects a trace returned by trace()');
+    }
+    const lines = [];
+    const print = (entry, depth) => {
+        const name = matchers.undefined(entry.name) ? '' : ` ${JSON.stringify(entry.name)}`;
+        const notes = [
+            entry.errorPath && `errorPath ${entry.errorPath}`,
+            entry.origin && '<- error origin'
+        ].filter(Boolean);
+        lines.push(`${'  '.repeat(depth)}${entry.kind}${name} at ${formatPath(entry.path, 'value')}: `
+            + `${describeValue(entry.value)} ${describeResult(entry.result)}`
+            + (notes.length > 0 ? ` (${notes.join(', ')})` : ''));
+        for (const child of entry.children) {
+            print(child, depth + 1);
+        }
+    };
+    print(trace, 0);
+    return lines.join('\n');
+};
+
+const formatSlot = slot => {
+    if (slot === symbols.other) {
+        return '[nv.other]';
+    } else if (slot === symbols.error) {
+        return '[nv.error]';
+    } else if (isPatternKey(slot)) {
+        return `[nv.pattern(${patternRegExps.get(slot)})]`;
+    }
+    return formatPath([slot], { format: 'js' });
+};
+
+const schemaSlots = schema => {
+    const kind = nodeKind(schema);
+    if (isWrapper(schema)) {
+        return schemaSlots(schema.schemas[0]);
+    } else if (kind === 'anyOf' || kind === 'oneOf') {
+        return schema.schemas.map((subschema, index) => [`.${kind}[${index}]`, subschema]);
+    } else if (kind || isValueObject(schema)) {
+        return [];
+    }
+    const keyed = entries => entries
+        .filter(([key]) => !matchers.symbol(key) || !symbolList.includes(key)
+            || key === symbols.other || key === symbols.error)
+        .map(([key, subschema]) => [formatSlot(key), subschema]);
+    if (matchers.map(schema)) {
+        return keyed([...schema]);
+    } else if (matchers.set(schema)) {
+        const members = [...schema];
+        const end = members.indexOf(symbols.end);
+        return end === -1 ? [] : members.slice(end + 1).map(member => [
+            formatSlot(matchers.function(member) ? symbols.other : symbols.error), member
+        ]);
+    } else if (matchers.object(schema)) {
+        return keyed(allEntries(schema));
+    } else if (matchers.array(schema)) {
+        return [...schema.keys()]
+            .filter(index => hasProperty(schema, index) && schema[index] !== symbols.end)
+            .map(index => [formatSlot(index), schema[index]]);
+    }
+    return [];
+};
+
+const formatCoverage = report => {
+    if (!matchers.array(report)) {
+        throw new Error('formatCoverage() expects a report returned by coverage()');
+    }
+    const visited = report.filter(node => node.visits > 0).length;
+    const percentage = report.length > 0 ? Math.floor(visited / report.length * 100) : 100;
+    const width = Math.max('visits'.length, ...report.map(node => String(node.visits).length));
+    const errorWidth = Math.max('errors'.length, ...report.map(node => String(node.errors).length));
+    return [
+        `${visited} of ${report.length} schema nodes visited (${percentage}%)`,
+        `${'visits'.padStart(width)}  ${'errors'.padStart(errorWidth)}  node`,
+        ...report.map(node => `${String(node.visits).padStart(width)}  `
+            + `${String(node.errors).padStart(errorWidth)}  ${node.location} (${node.kind})`
+            + (node.visits === 0 ? '  <- never visited' : ''))
+    ].join('\n');
+};
+
+function createInstance(options = {}) {
+    if (!matchers.object(options)) {
+        throw new Error('Instance options must be an object');
+    }
+    const structuredErrors = Boolean(options.structuredErrors);
+    const tracing = Boolean(options.trace);
+    const plainObjects = Boolean(options.plainObjects);
+    const coverage = options.coverage ? new Map() : null;
+    const catalogs = new Map();
+    const coverageRoots = new Map();
+
+    // Everything that belongs to a single validation. Compiled validators start every call with a new
+    // state, so that asynchronous calls can overlap; each of them switches it back in when it resumes, and
+    // so does every call of the instance made by its callbacks after an await (see rejoin).
+    const createState = (final = false) => ({
+        values: [],
+        funnel: [],
+        trees: [],
+        path: [],
+        errorPath: null,
+        errors: null,
+        parsing: false,
+        output: undefined,
+        outputs: [],
+        trace: null,
+        traceStack: [],
+        traceOrigins: new WeakMap(),
+        schemaPath: [],
+        callCounts: [],
+        validatorDepth: 0,
+        safeDepth: 0,
+        streaming: false,
+        indexes: new Map(),
+        safeMap: {},
+        safeIssues: new Map(),
+        started: false,
+        finished: final,
+        asynchronous: false,
+        abortion: null
+    });
+
+    let state = createState();
+    // Number of asynchronous validations currently executing synchronously, i.e. not waiting on a promise
+    let stepping = 0;
+    const asyncStates = new WeakSet();
+
+    // Switches to the asynchronous validation whose callback is running, unless a synchronous one (which
+    // cannot be interrupted by another validation) is in progress
+    const rejoin = () => {
+        const own = asyncContext && asyncContext.getStore();
+        const interruptible = state.validatorDepth === 0 || state.asynchronous;
+        if (own && own !== state && asyncStates.has(own) && interruptible) {
+            state = own;
+        }
+    };
+
+    const basicReset = (final = true) => {
+        state.safeMap = {};
+        state.safeIssues = new Map();
+        state.started = false;
+        state.finished = final;
+        state.asynchronous = false;
+        if (state.abortion) {
+            state.abortion.stop();
+            state.abortion = null;
+        }
+    };
+
+    const reset = (final = true) => {
+        basicReset(final);
+        Object.assign(state, createState(final));
+    };
+
+    const compiledSchemas = new WeakMap();
+    const definitions = new Map();
+
+    const resetAndThrow = error => {
+        reset();
+        throw new Error(error);
+    };
+
+    const startCallback = value => {
+        state.values.push(value);
+        if (state.parsing) {
+            state.outputs.push({ value });
+        }
+        if (coverage) {
+            state.callCounts.push(0);
+        }
+    };
+
+    const finishCallback = error => {
+        if (state.finished) {
+            throw new Error('Cannot proceed with validation after an error');
+        }
+        state.values.pop();
+        if (state.parsing) {
+            state.output = state.outputs.pop().value;
+        }
+        if (coverage) {
+            state.callCounts.pop();
+        }
+        return error || false;
+    };
+
+    const run = (callback, value) => {
+        startCallback(value);
+        let error;
+        try {
+            error = callback(value, currentKey());
+        } catch(e) {
+            if (!state.finished) {
+                reset();
+            }
+            throw e;
+        }
+        return finishCallback(error);
+    };
+
+    const runAsync = function* (callback, value) {
+        startCallback(value);
+        let error;
+        try {
+            error = callback(value, currentKey());
+            if (isThenable(error)) {
+                error = yield error;
+            }
+        } catch(e) {
+            if (!state.finished) {
+                reset();
+            }
+            throw e;
+        }
+        return finishCallback(error);
+    };
+
+    const checkKeyedSchema = (catchOther, shapeError, keys, name, patterns = false) => {
+        if (!matchers.undefined(catchOther) && !matchers.function(catchOther)) {
+            resetAndThrow('The catch-other callback must be a function');
+        }
+        if (matchers.defined(shapeError) && (matchers.function(shapeError) || !shapeError)) {
+            resetAndThrow('The shape error must be a non-function truthy value');
+        }
+        for (const key of keys) {
+            if (key !== symbols.other && key !== symbols.error && symbolList.includes(key)
+                || !patterns && isPatternKey(key)) {
+                resetAndThrow(`${key.toString()} is not expected in ${name} schema`);
+            }
+        }
+        return [catchOther, shapeError];
+    };
+
+    const checkObjectSchema = schema => {
+        const keys = Object.getOwnPropertySymbols(schema);
+        const checked = checkKeyedSchema(
+            schema[symbols.other], schema[symbols.error], keys, 'an object', true
+        );
+        return [...checked, keys.filter(isPatternKey)];
+    };
+
+    const matchPattern = (patterns, key) => matchers.string(key)
+        ? patterns.find(pattern => patternRegExps.get(pattern).test(key))
+        : undefined;
+
+    const validateObjectSchema = schema => compiledSchemas.get(schema) || checkObjectSchema(schema);
+
+    const checkMapSchema = schema => checkKeyedSchema(
+        schema.get(symbols.other), schema.get(symbols.error), schema.keys(), 'a map'
+    );
+
+    const validateMapSchema = schema => compiledSchemas.get(schema) || checkMapSchema(schema);
+
+    const createCollector = () => {
+        let firstError = false;
+        let firstErrorPath = null;
+        return {
+            add: error => {
+                if (error && !firstError) {
+                    firstError = error;
+                    firstErrorPath = state.errorPath;
+                }
+                return Boolean(error) && !state.errors;
+            },
+            result: () => {
+                if (firstError) {
+                    state.errorPath = firstErrorPath;
+                }
+                return firstError;
+            }
+        };
+    };
+
+    const failure = (kind, expected, received, failurePath = state.path) => !structuredErrors
+        || new ValidationError(kind, expected, received, [...failurePath]);
+
+    // Failed constraints name the conflicting member, which the error path alone doesn't tell, so they
+    // return structured errors even without the structuredErrors option
+    const conflict = (kind, expected, received) => {
+        return new ValidationError(kind, expected, received, [...state.path]);
+    };
+
+    const rejectShape = (shapeError, slot, expected, received) => {
+        if (coverage && matchers.defined(shapeError)) {
+            const node = registerCoverage(state.schemaPath.join('') + formatSlot(slot), shapeError);
+            node.visits++;
+            node.errors++;
+        }
+        return shapeError || failure('shape-mismatch', expected, received);
+    };
+
+    const rejectKey = (key, kind, expected, received, pointAtKey = false) => {
+        const error = failure(kind, expected, received, [...state.path, key]);
+        if (state.errors || pointAtKey) {
+            state.errorPath = [...state.path, key];
+        }
+        if (state.errors) {
+            state.errors.push({ error, path: state.errorPath });
+        }
+        return error;
+    };
+
+    // Containers are inspected member by member. A plan of a container value is either [shapeError] or
+    // [false, size, memberAt, result], where memberAt(index) describes the member to inspect at the given
+    // position (or returns undefined to skip it), and result is the parsed output to fill, if any.
+    const member = (key, value, schema, slot = key, kept = true) => ({ key, value, schema, slot, kept });
+    const rejected = (key, ...rejection) => ({ key, rejection });
+
+    const storeMember = (result, key) => {
+        if (matchers.map(result)) {
+            result.set(key, state.output);
+        } else if (matchers.set(result)) {
+            result.add(state.output);
+        } else {
+            assignMember(result, key, state.output);
+        }
+    };
+
+    const planObject = (schema, value) => {
+        const [catchOther, shapeError, patterns] = validateObjectSchema(schema);
+        if (!matchers.object(value) || isValueObject(value)) {
+            return [rejectShape(shapeError, symbols.error, 'object', value)];
+        } else if (plainObjects && !isPlainObject(value)) {
+            return [rejectShape(shapeError, symbols.error, 'plain object', value)];
+        }
+        const listed = allEntries(schema);
+        const unlisted = allEntries(value).filter(([key]) => !hasProperty(schema, key));
+        const memberAt = index => {
+            if (index < listed.length) {
+                const [key, subschema] = listed[index];
+                if (isSpecialKey(key) || isOptional(subschema) && !hasProperty(value, key)) {
+                    return undefined;
+                }
+                const present = hasProperty(value, key);
+                return present || !hasDefault(subschema)
+                    ? member(key, value[key], subschema, key, present)
+                    : member(key, fallbackOf(subschema), subschema);
+            }
+            const [key, subvalue] = unlisted[index - listed.length];
+            const pattern = matchPattern(patterns, key);
+            if (pattern) {
+                return member(key, subvalue, schema[pattern], pattern);
+            }
+            return matchers.undefined(catchOther)
+                ? rejected(key, 'unexpected-key', undefined, subvalue)
+                : member(key, subvalue, catchOther, symbols.other);
+        };
+        return [false, listed.length + unlisted.length, memberAt, state.parsing ? {} : null];
+    };
+
+    const checkArraySchema = (schema, name = 'an array') => {
+        for (const value of schema) {
+            if (matchers.symbol(value) && value !== symbols.end && symbolList.includes(value)) {
+                resetAndThrow(`${value.toString()} is not expected in ${name} schema`);
+            }
+        }
+        let endIndex = 0;
+        while (hasProperty(schema, endIndex) && schema[endIndex] !== symbols.end) {
+            endIndex++;
+        }
+        if (schema.length > endIndex + 3) {
+            resetAndThrow('Found more than 2 elements after the end-of-array marker');
+        }
+        let functional = undefined;
+        let truthy = undefined;
+        for (let index = endIndex + 1; index < schema.length; index++) {
+            if (!hasProperty(schema, index) || schema[index] === symbols.end) {
+                resetAndThrow('Encountered multiple end-of-array markers');
+            }
+            const value = schema[index];
+            if (matchers.function(value)) {
+                if (matchers.defined(functional)) {
+                    resetAndThrow('Encountered multiple catch-other callbacks');
+                }
+                functional = value;
+            } else if (value) {
+                if (matchers.defined(truthy)) {
+                    resetAndThrow('Encountered multiple shape error values');
+                }
+                truthy = value;
+            } else {
+                resetAndThrow('Shape error must be a truthy value');
+            }
+        }
+        return [endIndex, functional, truthy];
+    };
+
+    const validateArraySchema = schema => compiledSchemas.get(schema) || checkArraySchema(schema);
+
+    const checkSetSchema = schema => {
+        const members = [...schema];
+        const [endIndex, catchOther, shapeError] = checkArraySchema(members, 'a set');
+        return [new Set(members.slice(0, endIndex)), catchOther, shapeError];
+    };
+
+    const validateSetSchema = schema => compiledSchemas.get(schema) || checkSetSchema(schema);
+
+    const planArray = (schema, value) => {
+        const [maxIndex, catchOther, shapeError] = validateArraySchema(schema);
+        if (!matchers.array(value)) {
+            return [rejectShape(shapeError, schema.lastIndexOf(shapeError), 'array', value)];
+        }
+        const memberAt = index => {
+            const subschema = schema[index];
+            if (index >= maxIndex) {
+                return matchers.undefined(catchOther)
+                    ? rejected(index, 'unexpected-index', undefined, value[index])
+                    : member(index, value[index], catchOther, schema.lastIndexOf(catchOther));
+            } else if (hasProperty(value, index)) {
+                return member(index, value[index], subschema);
+            } else if (isOptional(subschema)) {
+                return undefined;
+            }
+            return hasDefault(subschema)
+                ? member(index, fallbackOf(subschema), subschema)
+                : member(index, value[index], subschema, index, index < value.length);
+        };
+        return [false, Math.max(maxIndex, value.length), memberAt, state.parsing ? [] : null];
+    };
+
+    const planMap = (schema, value) => {
+        const [catchOther, shapeError] = validateMapSchema(schema);
+        if (!matchers.map(value)) {
+            return [rejectShape(shapeError, symbols.error, 'map', value)];
+        }
+        const listed = [...schema];
+        const unlisted = [...value].filter(([key]) => !schema.has(key));
+        const memberAt = index => {
+            if (index < listed.length) {
+                const [key, subschema] = listed[index];
+                if (matchers.symbol(key) && symbolList.includes(key)
+                    || isOptional(subschema) && !value.has(key)) {
+                    return undefined;
+                }
+                return value.has(key)
+                    ? member(key, value.get(key), subschema)
+                    : member(key, fallbackOf(subschema), subschema, key, hasDefault(subschema));
+            }
+            const [key, subvalue] = unlisted[index - listed.length];
+            return matchers.undefined(catchOther)
+                ? rejected(key, 'unexpected-key', undefined, subvalue)
+                : member(key, subvalue, catchOther, symbols.other);
+        };
+        return [false, listed.length + unlisted.length, memberAt, state.parsing ? new Map() : null];
+    };
+
+    const planSet = (schema, value) => {
+        const [members, catchOther, shapeError] = validateSetSchema(schema);
+        if (!matchers.set(value)) {
+            return [rejectShape(shapeError, symbols.error, 'set', value)];
+        }
+        const missing = [...members].filter(listed => !value.has(listed));
+        const unlisted = [...value].filter(item => !members.has(item));
+        const memberAt = index => {
+            if (index < missing.length) {
+                return rejected(missing[index], 'missing-member', missing[index], undefined, true);
+            }
+            const item = unlisted[index - missing.length];
+            return matchers.undefined(catchOther)
+                ? rejected(item, 'unexpected-key', undefined, item)
+                : member(item, item, catchOther, symbols.other);
+        };
+        const result = state.parsing ? new Set([...members].filter(listed => value.has(listed))) : null;
+        return [false, missing.length + unlisted.length, memberAt, result];
+    };
+
+    const planContainer = (schema, value) => {
+        if (matchers.map(schema)) {
+            return planMap(schema, value);
+        } else if (matchers.set(schema)) {
+            return planSet(schema, value);
+        } else if (matchers.object(schema)) {
+            return planObject(schema, value);
+        }
+        return planArray(schema, value);
+    };
+
+    const inspectMembers = (size, memberAt, result) => {
+        const collector = createCollector();
+        for (let index = 0; index < size; index++) {
+            const member = memberAt(index);
+            if (!member) {
+                continue;
+            }
+            const { key, value, schema, slot, kept, rejection } = member;
+            const error = rejection ? rejectKey(key, ...rejection) : inspectKey(schema, value, key, slot);
+            if (collector.add(error)) {
+                return error;
+            }
+            if (result && !rejection && (kept || matchers.defined(state.output))) {
+                storeMember(result, key);
+            }
+        }
+        state.output = result;
+        return collector.result();
+    };
+
+    const inspectMembersAsync = function* (size, memberAt, result) {
+        const collector = createCollector();
+        for (let index = 0; index < size; index++) {
+            const member = memberAt(index);
+            if (!member) {
+                continue;
+            }
+            const { key, value, schema, slot, kept, rejection } = member;
+            const error = rejection
+                ? rejectKey(key, ...rejection)
+                : yield* inspectKeyAsync(schema, value, key, slot);
+            if (collector.add(error)) {
+                return error;
+            }
+            if (result && !rejection && (kept || matchers.defined(state.output))) {
+                storeMember(result, key);
+            }
+        }
+        state.output = result;
+        return collector.result();
+    };
+
+    const inspectContainer = (schema, value) => {
+        state.funnel.push(value);
+        const [shapeError, size, memberAt, result] = planContainer(schema, value);
+        const error = shapeError || inspectMembers(size, memberAt, result);
+        state.funnel.pop();
+        return error;
+    };
+
+    const inspectContainerAsync = function* (schema, value) {
+        state.funnel.push(value);
+        const [shapeError, size, memberAt, result] = planContainer(schema, value);
+        const error = shapeError || (yield* inspectMembersAsync(size, memberAt, result));
+        state.funnel.pop();
+        return error;
+    };
+
+    const resolveReference = node => {
+        const seen = new Set();
+        let schema = node;
+        let name;
+        while (nodeKind(schema) === 'ref') {
+            name = schema.name;
+            if (seen.has(name)) {
+                resetAndThrow(`Schema "${name}" refers to itself`);
+            }
+            if (!definitions.has(name)) {
+                resetAndThrow(`Schema "${name}" is not defined`);
+            }
+            seen.add(name);
+            schema = definitions.get(name);
+        }
+        return [schema, name];
+    };
+
+    const inspectReference = (node, value) => {
+        const [schema, name] = resolveReference(node);
+        if (!coverage) {
+            return doInspect(schema, value);
+        }
+        const referrer = state.schemaPath;
+        state.schemaPath = [definitionLocation(name)];
+        const error = cover(schema, value);
+        state.schemaPath = referrer;
+        return error;
+    };
+
+    const inspectReferenceAsync = function* (node, value, inspector = doInspectAsync) {
+        const [schema, name] = resolveReference(node);
+        if (!coverage) {
+            return yield* inspector(schema, value);
+        }
+        const referrer = state.schemaPath;
+        state.schemaPath = [definitionLocation(name)];
+        const error = yield* coverAsync(schema, value, inspector);
+        state.schemaPath = referrer;
+        return error;
+    };
+
+    const createAlternatives = node => {
+        const kind = nodeKind(node);
+        const collected = state.errors && state.errors.length;
+        const branches = [];
+        let matches = 0;
+        let matchOutput;
+        return {
+            enter: index => {
+                if (coverage) {
+                    state.schemaPath.push(`.${kind}[${index}]`);
+                }
+                state.errorPath = null;
+            },
+            leave: error => {
+                if (coverage) {
+                    state.schemaPath.pop();
+                }
+                branches.push({ error, path: state.errorPath });
+                state.errorPath = null;
+                if (state.errors) {
+                    state.errors.length = collected;
+                }
+                if (!error) {
+                    matches++;
+                    matchOutput = state.output;
+                }
+                return !error && kind === 'anyOf';
+            },
+            result: () => {
+                if (matches === 1 || matches > 1 && kind === 'anyOf') {
+                    state.output = matchOutput;
+                    return false;
+                }
+                return { [kind]: branches };
+            }
+        };
+    };
+
+    const inspectAlternatives = (node, value) => {
+        const alternatives = createAlternatives(node);
+        for (const [index, subschema] of node.schemas.entries()) {
+            alternatives.enter(index);
+            if (alternatives.leave(inspect(subschema, value))) {
+                break;
+            }
+        }
+        return alternatives.result();
+    };
+
+    const inspectAlternativesAsync = function* (node, value) {
+        const alternatives = createAlternatives(node);
+        for (const [index, subschema] of node.schemas.entries()) {
+            alternatives.enter(index);
+            if (alternatives.leave(yield* inspectAsync(subschema, value))) {
+                break;
+            }
+        }
+        return alternatives.result();
+    };
+
+    const inspectLiteral = (schema, value) => {
+        state.output = value;
+        const same = isValueObject(schema) ? sameValueObject(schema, value) : value === schema;
+        return !same && failure('literal-mismatch', schema, value);
+    };
+
+    const doInspect = (schema, value) => {
+        const kind = nodeKind(schema);
+        if (isWrapper(schema)) {
+            return doInspect(schema.schemas[0], value);
+        } else if (kind === 'anyOf' || kind === 'oneOf') {
+            return inspectAlternatives(schema, value);
+        } else if (kind === 'ref') {
+            return inspectReference(schema, value);
+        } else if (matchers.function(schema)) {
+            return run(schema, value);
+        } else if (isContainer(schema)) {
+            return inspectContainer(schema, value);
+        }
+        return inspectLiteral(schema, value);
+    };
+
+    const doInspectAsync = function* (schema, value) {
+        const kind = nodeKind(schema);
+        if (isWrapper(schema)) {
+            return yield* doInspectAsync(schema.schemas[0], value);
+        } else if (kind === 'anyOf' || kind === 'oneOf') {
+            return yield* inspectAlternativesAsync(schema, value);
+        } else if (kind === 'ref') {
+            return yield* inspectReferenceAsync(schema, value);
+        } else if (matchers.function(schema)) {
+            return yield* runAsync(schema, value);
+        } else if (isContainer(schema)) {
+            return yield* inspectContainerAsync(schema, value);
+        }
+        return inspectLiteral(schema, value);
+    };
+
+    const enterKey = (key, slot) => {
+        state.path.push(key);
+        if (coverage) {
+            state.schemaPath.push(formatSlot(slot));
+        }
+    };
+
+    const leaveKey = error => {
+        if (coverage) {
+            state.schemaPath.pop();
+        }
+        state.path.pop();
+        return error;
+    };
+
+    const inspectKey = (schema, value, key, slot = key) => {
+        enterKey(key, slot);
+        return leaveKey(inspect(schema, value));
+    };
+
+    const inspectKeyAsync = function* (schema, value, key, slot = key) {
+        enterKey(key, slot);
+        return leaveKey(yield* inspectAsync(schema, value));
+    };
+
+    const registerCoverage = (location, schema) => {
+        if (!coverage.has(location)) {
+            const kind = schemaKind(schema);
+            coverage.set(location, kind === 'ref'
+                ? { location, kind, name: schema.name, visits: 0, errors: 0 }
+                : { location, kind, visits: 0, errors: 0 });
+            for (const [slot, subschema] of schemaSlots(schema)) {
+                registerCoverage(location + slot, subschema);
+            }
+        }
+        return coverage.get(location);
+    };
+
+    const definitionLocation = name => `definitions[${JSON.stringify(name)}]`;
+
+    const visitCoverage = schema => {
+        const node = registerCoverage(state.schemaPath.join(''), schema);
+        node.visits++;
+        return node;
+    };
+
+    const cover = (schema, value) => {
+        const node = visitCoverage(schema);
+        const error = doInspect(schema, value);
+        if (error) {
+            node.errors++;
+        }
+        return error;
+    };
+
+    const coverAsync = function* (schema, value, inspector = doInspectAsync) {
+        const node = visitCoverage(schema);
+        const error = yield* inspector(schema, value);
+        if (error) {
+            node.errors++;
+        }
+        return error;
+    };
+
+    const openTrace = (schema, value) => {
+        const entry = {
+            kind: schemaKind(schema), path: [...state.path], value,
+            result: undefined, errorPath: null, origin: false, children: []
+        };
+        if (entry.kind === 'ref') {
+            entry.name = schema.name;
+        }
+        if (state.traceStack.length > 0) {
+            state.traceStack[state.traceStack.length - 1].entry.children.push(entry);
+        } else {
+            state.trace = entry;
+        }
+        state.traceStack.push({ entry, errorPath: state.errorPath });
+    };
+
+    const closeTrace = error => {
+        const { entry, errorPath: previous } = state.traceStack.pop();
+        entry.result = error;
+        if (state.errorPath !== previous) {
+            if (!state.errorPath) {
+                entry.errorPath = 'reset';
+            } else if (state.traceOrigins.has(state.errorPath)) {
+                entry.errorPath = 'propagated';
+            } else {
+                entry.errorPath = 'set';
+                state.traceOrigins.set(state.errorPath, entry);
+            }
+        }
+    };
+
+    const startInspection = (schema, value) => {
+        if (tracing) {
+            openTrace(schema, value);
+        }
+        return state.errors && state.errors.length;
+    };
+
+    const finishInspection = (error, collected) => {
+        if (error) {
+            if (!state.errorPath) {
+                state.errorPath = [...state.path];
+            }
+            if (state.errors && state.errors.length === collected) {
+                state.errors.push({ error, path: [...state.path] });
+            }
+        } else {
+            state.errorPath = null;
+            if (state.errors) {
+                state.errors.length = collected;
+            }
+        }
+        if (tracing) {
+            closeTrace(error);
+        }
+        return error;
+    };
+
+    const inspect = (schema, value) => {
+        const collected = startInspection(schema, value);
+        return finishInspection(coverage ? cover(schema, value) : doInspect(schema, value), collected);
+    };
+
+    const inspectAsync = function* (schema, value, inspector = doInspectAsync) {
+        const collected = startInspection(schema, value);
+        const error = yield* (coverage ? coverAsync(schema, value, inspector) : inspector(schema, value));
+        return finishInspection(error, collected);
+    };
+
+    const readEvent = function* (reader) {
+        const event = reader.next();
+        return isThenable(event) ? yield event : event;
+    };
+
+    const readValue = function* (reader, event) {
+        if (event.type === 'value') {
+            return event.value;
+        }
+        const container = event.kind === 'object' ? {} : [];
+        for (;;) {
+            let next = yield* readEvent(reader);
+            if (next.type === 'end') {
+                return container;
+            }
+            let key = container.length;
+            if (next.type === 'key') {
+                key = next.key;
+                next = yield* readEvent(reader);
+            }
+            assignMember(container, key, yield* readValue(reader, next));
+        }
+    };
+
+    const skipValue = function* (reader, event) {
+        return structuredErrors ? yield* readValue(reader, event) : undefined;
+    };
+
+    const streamTarget = schema => {
+        let target = schema;
+        while (isWrapper(target) || nodeKind(target) === 'ref') {
+            target = nodeKind(target) === 'ref' ? resolveReference(target)[0] : target.schemas[0];
+        }
+        return target;
+    };
+
+    const isStreamable = (schema, event) => {
+        const target = streamTarget(schema);
+        return event.type === 'start' && !nodeKind(target)
+            && (event.kind === 'object' ? matchers.object(target) : matchers.array(target));
+    };
+
+    const streamed = function* (schema, value, inspector) {
+        const kind = nodeKind(schema);
+        if (isWrapper(schema)) {
+            return yield* streamed(schema.schemas[0], value, inspector);
+        } else if (kind === 'ref') {
+            return yield* inspectReferenceAsync(schema, value,
+                (target, v) => streamed(target, v, inspector));
+        }
+        return yield* inspector(schema, value);
+    };
+
+    const inspectDeeper = function* (inspector, schema, value) {
+        state.funnel.push(value);
+        const error = yield* inspector(schema, value);
+        state.funnel.pop();
+        return error;
+    };
+
+    // Validated containers are dropped from the partial tree to save memory; partial containers are
+    // proxies that throw when such a container is read instead of quietly returning undefined. Arrays are
+    // filled in order, so their released members are the holes; objects keep the released keys.
+    const partials = new WeakMap();
+
+    const isReleased = (container, key) => {
+        const entry = partials.get(container);
+        if (!entry) {
+            return false;
+        } else if (entry.released) {
+            return entry.released.has(key);
+        }
+        const index = typeof key === 'string' && /^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : -1;
+        return index >= 0 && index < container.length && !hasProperty(container, key);
+    };
+
+    const partialHandler = {
+        get: (target, key, receiver) => {
+            if (isReleased(target, key)) {
+                const { path, released } = partials.get(target);
+                const member = formatPath([...path, released ? key : Number(key)], 'value');
+                throw new Error(`${member} has been validated and released`);
+            }
+            return Reflect.get(target, key, receiver);
+        }
+    };
+
+    const createPartial = kind => {
+        const target = kind === 'object' ? {} : [];
+        const partial = new Proxy(target, partialHandler);
+        const entry = { path: [...state.path], released: kind === 'object' ? new Set() : null };
+        partials.set(target, entry);
+        partials.set(partial, entry);
+        return partial;
+    };
+
+    const inspectStream = function* (schema, reader, event, attach = () => {}) {
+        if (!isStreamable(schema, event)) {
+            const value = yield* readValue(reader, event);
+            attach(value);
+            const error = yield* inspectAsync(schema, value);
+            return [error, value];
+        }
+        const partial = createPartial(event.kind);
+        attach(partial);
+        const streamer = event.kind === 'object' ? streamObject : streamArray;
+        const inspector = (target, value) => inspectDeeper(
+            (target, value) => streamer(target, value, reader), target, value
+        );
+        const error = yield* inspectAsync(schema, partial,
+            (target, value) => streamed(target, value, inspector));
+        return [error, partial];
+    };
+
+    const streamKey = function* (schema, reader, event, partial, key, slot = key) {
+        const { released } = partials.get(partial);
+        enterKey(key, slot);
+        const [error, value] = yield* inspectStream(schema, reader, event, value => {
+            if (released) {
+                released.delete(key);
+            }
+            assignMember(partial, key, value);
+        });
+        leaveKey(error);
+        if (matchers.object(value) || matchers.array(value)) {
+            delete partial[key];
+            if (released) {
+                released.add(key);
+            }
+        }
+        return error;
+    };
+
+    const streamObject = function* (schema, partial, reader) {
+        const [catchOther, , patterns] = validateObjectSchema(schema);
+        const seen = new Set();
+        for (;;) {
+            const event = yield* readEvent(reader);
+            if (event.type === 'end') {
+                break;
+            }
+            const { key } = event;
+            seen.add(key);
+            const next = yield* readEvent(reader);
+            const pattern = matchPattern(patterns, key);
+            let error;
+            if (hasProperty(schema, key)) {
+                error = yield* streamKey(schema[key], reader, next, partial, key);
+            } else if (pattern) {
+                error = yield* streamKey(schema[pattern], reader, next, partial, key, pattern);
+            } else if (matchers.undefined(catchOther)) {
+                return rejectKey(key, 'unexpected-key', undefined, yield* skipValue(reader, next));
+            } else {
+                error = yield* streamKey(catchOther, reader, next, partial, key, symbols.other);
+            }
+            if (error) {
+                return error;
+            }
+        }
+        for (const [key, subschema] of allEntries(schema)) {
+            if (seen.has(key) || isOptional(subschema) || isSpecialKey(key)) {
+                continue;
+            }
+            const error = yield* inspectKeyAsync(subschema, fallbackOf(subschema), key);
+            if (error) {
+                return error;
+            }
+        }
+        return false;
+    };
+
+    const streamArray = function* (schema, partial, reader) {
+        const [maxIndex, catchOther] = validateArraySchema(schema);
+        let index = 0;
+        for (;; index++) {
+            const event = yield* readEvent(reader);
+            if (event.type === 'end') {
+                break;
+            }
+            let error;
+            if (index < maxIndex) {
+                error = yield* streamKey(schema[index], reader, event, partial, index);
+            } else if (matchers.undefined(catchOther)) {
+                return rejectKey(index, 'unexpected-index', undefined, yield* skipValue(reader, event));
+            } else {
+                error = yield* streamKey(catchOther, reader, event, partial, index,
+                    schema.lastIndexOf(catchOther));
+            }
+            if (error) {
+                return error;
+            }
+        }
+        for (; index < maxIndex; index++) {
+            if (isOptional(schema[index])) {
+                continue;
+            }
+            const error = yield* inspectKeyAsync(schema[index], fallbackOf(schema[index]), index);
+            if (error) {
+                return error;
+            }
+        }
+        return false;
+    };
+
+    const inspectSource = function* (schema, reader) {
+        const [error] = yield* inspectStream(schema, reader, yield* readEvent(reader), value => {
+            state.trees[0].value = value;
+        });
+        if (!error) {
+            yield reader.finish();
+        }
+        return error;
+    };
+
+    const completeAsync = async (generator, finish) => {
+        const own = state;
+        asyncStates.add(own);
+        const resume = (method, argument) => {
+            state = own;
+            stepping++;
+            try {
+                return asyncContext
+                    ? asyncContext.run(own, () => generator[method](argument))
+                    : generator[method](argument);
+            } finally {
+                stepping--;
+            }
+        };
+        try {
+            let step = resume('next');
+            while (!step.done) {
+                const { abortion } = own;
+                let result;
+                try {
+                    result = await (abortion ? Promise.race([step.value, abortion.promise]) : step.value);
+                } catch(e) {
+                    if (abortion && abortion.signal.aborted) {
+                        throw e;
+                    }
+                    step = resume('throw', e);
+                    continue;
+                }
+                if (abortion && abortion.signal.aborted) {
+                    throw abortReason(abortion.signal);
+                }
+                step = resume('next', result);
+            }
+            return finish(step.value);
+        } catch(e) {
+            state = own;
+            if (!state.finished) {
+                reset();
+            }
+            throw e;
+        }
+    };
+
+    const watch = signal => {
+        let listener;
+        const promise = new Promise((resolve, reject) => {
+            listener = () => reject(abortReason(signal));
+            signal.addEventListener('abort', listener);
+        });
+        promise.catch(() => {});
+        return { signal, promise, stop: () => signal.removeEventListener('abort', listener) };
+    };
 
-function createInstance() {
-    let values, funnel, path, errorPath, validatorDepth, safeDepth, safeMap, started, finished;
+    const leave = (error, referrer) => {
+        state.schemaPath = referrer;
+        state.validatorDepth--;
+        if (state.validatorDepth === 0) {
+            if (state.errorPath && state.traceOrigins.has(state.errorPath)) {
+                state.traceOrigins.get(state.errorPath).origin = true;
+            }
+            basicReset();
+        }
+        return error;
+    };
 
-    const basicReset = (final = true) => {
-        safeMap = {};
-        started = false;
-        finished = final;
+    const coverageRoot = schema => {
+        if (!coverageRoots.has(schema)) {
+            const label = coverageRoots.size === 0 ? 'schema' : `schema${coverageRoots.size + 1}`;
+            coverageRoots.set(schema, label);
+        }
+        return coverageRoots.get(schema);
     };
 
-    const reset = (final = true) => {
-        values = [];
-        funnel = [];
-        path = [];
-        errorPath = null;
-        validatorDepth = 0;
-        safeDepth = 0;
-        basicReset(final);
+    const enter = () => {
+        rejoin();
+        if (state.validatorDepth === 0) {
+            if (state.finished) {
+                resetAndThrow('To validate another value, use nonvalid.instance()');
+            }
+            state.started = true;
+        }
+        state.validatorDepth++;
     };
 
-    reset(false);
+    // Every value passed to nv() explicitly is the root of a tree of its own, which starts at the current
+    // path and whose containers follow the ones of the enclosing trees in the funnel
+    const plant = value => {
+        state.trees.push({ path: state.path.length, funnel: state.funnel.length, value });
+    };
 
-    const resetAndThrow = error => {
-        reset();
-        throw new Error(error);
+    const locate = schema => {
+        const referrer = state.schemaPath;
+        if (coverage) {
+            state.schemaPath = state.validatorDepth === 1
+                ? [coverageRoot(schema)]
+                : [...state.schemaPath, `(${state.callCounts[state.callCounts.length - 1]++})`];
+        }
+        return referrer;
     };
 
-    const run = (callback, value) => {
-        values.push(value);
-        let error;
-        try {
-            error = callback(value, currentKey()) || false;
-        } catch(e) {
-            if (!finished) {
-                reset();
+    const validator = (...args) => {
+        enter();
+        let schema, value;
+        if (args.length > 1) {
+            [value, schema] = args;
+            plant(value);
+        } else {
+            if (state.values.length === 0) {
+                resetAndThrow('Validator called with no value outside of any context');
             }
-            throw e;
+            schema = args[0];
+            value = currentValue();
         }
-        if (finished) {
-            throw new Error('Cannot proceed with validation after an error');
+        const referrer = locate(schema);
+        const finish = error => {
+            if (args.length > 1) {
+                state.trees.pop();
+            }
+            return leave(error, referrer);
+        };
+        if (state.asynchronous) {
+            return completeAsync(inspectAsync(schema, value), finish);
         }
-        values.pop();
-        return error;
+        const error = inspect(schema, value);
+        if (state.parsing && args.length === 1 && !error) {
+            state.outputs[state.outputs.length - 1].value = state.output;
+        }
+        return finish(error);
     };
 
-    const validateObjectSchema = schema => {
-        const catchOther = schema[symbols.other];
-        if (!matchers.undefined(catchOther) && !matchers.function(catchOther)) {
-            resetAndThrow('The catch-other callback must be a function');
+    validator.is = (...args) => !validator(...args);
+
+    validator.fromJSONSchema = document => fromJSONSchema(validator, document);
+
+    const annotations = new WeakMap();
+
+    const annotationOf = target => {
+        const seen = new Set();
+        let annotation = annotations.get(target);
+        while (matchers.function(annotation) && !seen.has(annotation)) {
+            seen.add(annotation);
+            annotation = annotations.get(annotation);
         }
-        const shapeError = schema[symbols.error];
-        if (matchers.defined(shapeError) && (matchers.function(shapeError) || !shapeError)) {
-            resetAndThrow('The shape error must be a non-function truthy value');
+        return matchers.function(annotation) ? undefined : annotation;
+    };
+
+    validator.annotate = (...args) => {
+        if (args.length !== 2) {
+            throw new Error('annotate() expects exactly two arguments');
+        }
+        const [target, annotation] = args;
+        if (!matchers.function(target)) {
+            throw new Error('Only functions can be annotated');
         }
-        for (const key of Object.getOwnPropertySymbols(schema)) {
-            if (key !== symbols.other && key !== symbols.error && symbolList.includes(key)) {
-                resetAndThrow(`${key.toString()} is not expected in an object schema`);
+        if (!['boolean', 'object', 'function'].some(type => matchers[type](annotation))) {
+            throw new Error('Annotation must be a JSON Schema or an annotated function');
+        }
+        annotations.set(target, annotation);
+        return target;
+    };
+
+    validator.toJSONSchema = schema => toJSONSchema(validator, schema, {
+        annotationOf,
+        nodeKind,
+        patternOf: key => patternRegExps.get(key),
+        isValueObject,
+        definitionOf: name => {
+            if (!definitions.has(name)) {
+                throw new Error(`Schema "${name}" is not defined`);
             }
+            return definitions.get(name);
         }
-        return [catchOther, shapeError];
+    });
+
+    validator.pattern = (...args) => {
+        if (args.length !== 1 || !(args[0] instanceof RegExp)) {
+            throw new Error('pattern() expects a regular expression');
+        }
+        return patternKey(args[0]);
     };
 
-    const inspectObject = (schema, value) => {
-        const [catchOther, shapeError] = validateObjectSchema(schema);
-        if (!matchers.object(value)) {
-            return shapeError || true;
+    validator.optional = (...args) => {
+        if (args.length !== 1) {
+            throw new Error('optional() expects exactly one argument');
         }
-        for (const [key, subschema] of allEntries(schema)) {
-            if (matchers.symbol(key) && symbolList.includes(key)) {
-                continue;
+        return createNode('optional', args);
+    };
+
+    validator.withDefault = (...args) => {
+        if (args.length !== 2) {
+            throw new Error('withDefault() expects exactly two arguments');
+        }
+        const [subschema, fallback] = args;
+        return createNode('default', [subschema], { fallback });
+    };
+
+    const checkName = name => {
+        if (!matchers.string(name) || !name) {
+            throw new Error('Schema name must be a non-empty string');
+        }
+    };
+
+    validator.msg = (...args) => {
+        if (args.length < 1 || args.length > 2) {
+            throw new Error('msg() expects one or two arguments');
+        }
+        const [code, params = {}] = args;
+        if (!matchers.string(code) || code === '') {
+            throw new Error('Message code must be a non-empty string');
+        }
+        if (!matchers.object(params)) {
+            throw new Error('Message parameters must be an object');
+        }
+        return new Message(code, Object.freeze({ ...params }));
+    };
+
+    validator.addMessages = (...args) => {
+        if (args.length !== 2) {
+            throw new Error('addMessages() expects exactly two arguments');
+        }
+        const [locale, catalog] = args;
+        if (!matchers.string(locale) || locale === '') {
+            throw new Error('Locale must be a non-empty string');
+        }
+        if (!matchers.object(catalog)) {
+            throw new Error('Message catalog must be an object');
+        }
+        if (!catalogs.has(locale)) {
+            catalogs.set(locale, new Map());
+        }
+        const messages = catalogs.get(locale);
+        for (const [code, template] of Object.entries(catalog)) {
+            if (!matchers.string(template) && !matchers.function(template)) {
+                throw new Error(`Message "${code}" must be either a string or a function`);
             }
-            const error = inspectKey(subschema, value[key], key);
-            if (error) {
-                return error;
+            if (messages.has(code)) {
+                throw new Error(`Message "${code}" is already defined for locale "${locale}"`);
             }
+            messages.set(code, template);
         }
-        for (const [key, subvalue] of allEntries(value)) {
-            if (!hasProperty(schema, key)) {
-                if (matchers.undefined(catchOther)) {
-                    return true;
-                }
-                const error = inspectKey(catchOther, subvalue, key);
-                if (error) {
-                    return error;
-                }
+        return validator;
+    };
+
+    const findTemplate = (code, locale) => {
+        for (const candidate of [locale, locale.split('-')[0]]) {
+            if (catalogs.has(candidate) && catalogs.get(candidate).has(code)) {
+                return catalogs.get(candidate).get(code);
             }
         }
-        return false;
+        throw new Error(`Message "${code}" is not defined for locale "${locale}"`);
     };
 
-    const validateArraySchema = schema => {
-        for (const value of schema) {
-            if (matchers.symbol(value) && value !== symbols.end && symbolList.includes(value)) {
-                resetAndThrow(`${value.toString()} is not expected in an array schema`);
-            }
+    validator.render = (...args) => {
+        rejoin();
+        if (args.length < 1 || args.length > 2) {
+            throw new Error('render() expects one or two arguments');
         }
-        let endIndex = 0;
-        while (hasProperty(schema, endIndex) && schema[endIndex] !== symbols.end) {
-            endIndex++;
+        const [error, renderOptions = {}] = args;
+        if (!(error instanceof Message)) {
+            return error;
         }
-        if (schema.length > endIndex + 3) {
-            resetAndThrow('Found more than 2 elements after the end-of-array marker');
+        const { locale = options.locale } = renderOptions;
+        if (!matchers.string(locale)) {
+            throw new Error('render() requires a locale');
         }
-        let functional = undefined;
-        let truthy = undefined;
-        for (let index = endIndex + 1; index < schema.length; index++) {
-            if (!hasProperty(schema, index) || schema[index] === symbols.end) {
-                resetAndThrow('Encountered multiple end-of-array markers');
-            }
-            const value = schema[index];
-            if (matchers.function(value)) {
-                if (matchers.defined(functional)) {
-                    resetAndThrow('Encountered multiple catch-other callbacks');
-                }
-                functional = value;
-            } else if (value) {
-                if (matchers.defined(truthy)) {
-                    resetAndThrow('Encountered multiple shape error values');
-                }
-                truthy = value;
-            } else {
-                resetAndThrow('Shape error must be a truthy value');
-            }
+        const path = hasProperty(renderOptions, 'path')
+            ? renderOptions.path
+            : state.finished && state.errorPath;
+        const template = findTemplate(error.code, locale);
+        return matchers.function(template)
+            ? template(error.params, path ? [...path] : null)
+            : renderTemplate(template, error, path);
+    };
+
+    validator.define = (...args) => {
+        rejoin();
+        if (args.length !== 2) {
+            throw new Error('define() expects exactly two arguments');
         }
-        return [endIndex, functional, truthy];
+        const [name, schema] = args;
+        checkName(name);
+        if (state.validatorDepth > 0) {
+            resetAndThrow('define() called during validation');
+        }
+        if (definitions.has(name)) {
+            throw new Error(`Schema "${name}" is already defined`);
+        }
+        definitions.set(name, schema);
+        return validator;
     };
 
-    const inspectArray = (schema, value) => {
-        const [maxIndex, catchOther, shapeError] = validateArraySchema(schema);
-        if (!matchers.array(value)) {
-            return shapeError || true;
+    validator.ref = (...args) => {
+        if (args.length !== 1) {
+            throw new Error('ref() expects exactly one argument');
         }
-        for (let index = 0; index < maxIndex; index++) {
-            const error = inspectKey(schema[index], value[index], index);
-            if (error) {
-                return error;
+        checkName(args[0]);
+        return createNode('ref', [], { name: args[0] });
+    };
+
+    for (const kind of ['anyOf', 'oneOf']) {
+        validator[kind] = (...args) => {
+            if (args.length === 0) {
+                throw new Error(`${kind}() expects at least one schema`);
             }
+            return createNode(kind, args);
+        };
+    }
+
+    validator.all = (...args) => {
+        rejoin();
+        if (args.length !== 2) {
+            resetAndThrow('all() expects exactly two arguments');
         }
-        for (let index = maxIndex; index < value.length; index++) {
-            if (matchers.undefined(catchOther)) {
-                return true;
-            }
-            const error = inspectKey(catchOther, value[index], index);
-            if (error) {
-                return error;
-            }
+        if (state.validatorDepth > 0) {
+            resetAndThrow('all() called during validation');
         }
-        return false;
+        state.errors = [];
+        validator(...args);
+        const result = state.errors;
+        state.errors = null;
+        return result;
     };
 
-    const inspectDeeper = (inspector, schema, value) => {
-        funnel.push(value);
-        const error = inspector(schema, value);
-        funnel.pop();
-        return error;
+    validator.parse = (...args) => {
+        rejoin();
+        if (args.length !== 2) {
+            resetAndThrow('parse() expects exactly two arguments');
+        }
+        if (state.validatorDepth > 0) {
+            resetAndThrow('parse() called during validation');
+        }
+        state.parsing = true;
+        const error = validator(...args);
+        const result = error ? { value: undefined, error, errorPath: state.errorPath }
+            : { value: state.output, error, errorPath: state.errorPath };
+        state.parsing = false;
+        state.output = undefined;
+        return result;
     };
 
-    const doInspect = (schema, value) => {
-        if (matchers.function(schema)) {
-            return run(schema, value);
-        } else if (matchers.object(schema)) {
-            return inspectDeeper(inspectObject, schema, value);
-        } else if (matchers.array(schema)) {
-            return inspectDeeper(inspectArray, schema, value);
-        } else {
-            return value !== schema;
+    validator.replace = (...args) => {
+        rejoin();
+        if (args.length !== 1) {
+            throw new Error('replace() expects exactly one argument');
+        }
+        if (!state.parsing || state.outputs.length === 0) {
+            throw new Error('replace() can only be called from callbacks during parse()');
         }
+        state.outputs[state.outputs.length - 1].value = args[0];
+        return false;
     };
 
-    const inspectKey = (schema, value, key) => {
-        path.push(key);
-        const error = inspect(schema, value);
-        path.pop();
-        return error;
+    const goAsynchronous = (name, options) => {
+        if (state.validatorDepth > 0) {
+            resetAndThrow(`${name}() called during validation`);
+        }
+        const { signal } = options;
+        if (signal) {
+            if (signal.aborted) {
+                throw abortReason(signal);
+            }
+            state.abortion = watch(signal);
+        }
+        state.asynchronous = true;
     };
 
-    const inspect = (schema, value) => {
-        const error = doInspect(schema, value);
-        if (error) {
-            if (!errorPath) {
-                errorPath = [...path];
-            }
-        } else {
-            errorPath = null;
+    validator.async = async (value, schema, options = {}) => {
+        goAsynchronous('async', options);
+        return validator(value, schema);
+    };
+
+    validator.stream = async (source, schema, options = {}) => {
+        const reader = createReader(source);
+        goAsynchronous('stream', options);
+        state.streaming = true;
+        enter();
+        plant(undefined);
+        const referrer = locate(schema);
+        try {
+            return await completeAsync(inspectSource(schema, reader), error => leave(error, referrer));
+        } finally {
+            reader.close();
         }
-        return error;
     };
 
-    const validator = (...args) => {
-        if (validatorDepth === 0) {
-            if (finished) {
-                resetAndThrow('To validate another value, use nonvalid.instance()');
-            }
-            started = true;
+    const precompile = schema => {
+        if (compiledSchemas.has(schema)) {
+            return;
         }
-        validatorDepth++;
-        let schema, value;
-        if (args.length > 1) {
-            [value, schema] = args;
-        } else {
-            if (values.length === 0) {
-                resetAndThrow('Validator called with no value outside of any context');
+        if (nodeKind(schema)) {
+            schema.schemas.forEach(precompile);
+        } else if (isValueObject(schema)) {
+            return;
+        } else if (matchers.map(schema)) {
+            compiledSchemas.set(schema, checkMapSchema(schema));
+            for (const [key, subschema] of schema) {
+                if (!matchers.symbol(key) || !symbolList.includes(key)) {
+                    precompile(subschema);
+                }
+            }
+        } else if (matchers.set(schema)) {
+            compiledSchemas.set(schema, checkSetSchema(schema));
+        } else if (matchers.object(schema)) {
+            compiledSchemas.set(schema, checkObjectSchema(schema));
+            for (const [key, subschema] of allEntries(schema)) {
+                if (!matchers.symbol(key) || !symbolList.includes(key)) {
+                    precompile(subschema);
+                }
+            }
+        } else if (matchers.array(schema)) {
+            const checked = checkArraySchema(schema);
+            compiledSchemas.set(schema, checked);
+            for (let index = 0; index < checked[0]; index++) {
+                precompile(schema[index]);
             }
-            schema = args[0];
-            value = currentValue();
         }
-        const error = inspect(schema, value);
-        validatorDepth--;
-        if (validatorDepth === 0) {
-            basicReset();
+    };
+
+    validator.compile = schema => {
+        if (state.validatorDepth > 0) {
+            resetAndThrow('compile() called during validation');
         }
-        return error;
+        precompile(schema);
+        for (const definition of definitions.values()) {
+            precompile(definition);
+        }
+        const prepare = () => {
+            if (stepping > 0 || state.validatorDepth > 0 && !state.asynchronous) {
+                resetAndThrow('Compiled validator called during validation');
+            }
+            state = createState();
+        };
+        const compiled = value => {
+            prepare();
+            return validator(value, schema);
+        };
+        compiled.all = value => {
+            prepare();
+            return validator.all(value, schema);
+        };
+        compiled.parse = value => {
+            prepare();
+            return validator.parse(value, schema);
+        };
+        compiled.async = async (value, options) => {
+            prepare();
+            return validator.async(value, schema, options);
+        };
+        compiled.stream = async (source, options) => {
+            prepare();
+            return validator.stream(source, schema, options);
+        };
+        return compiled;
     };
 
     const wrapIfSafe = value => {
-        if (safeDepth > 0) {
-            const unwrapTimeout = setTimeout(() => {
-                throw new Error('Value created in safe context was not consumed by any matcher');
-            }, 0);
+        if (state.safeDepth > 0) {
+            const unconsumed = {};
+            state.safeIssues.set(unconsumed,
+                'Value created in safe context was not consumed by any matcher');
             const wrap = value => new Proxy({}, {
                 get: function getter(target, property) {
                     if (property === privateSymbols.unwrap) {
-                        clearTimeout(unwrapTimeout);
+                        state.safeIssues.delete(unconsumed);
                         return value;
                     }
                     if (property === Symbol.toPrimitive) {
-                        clearTimeout(unwrapTimeout);
+                        const misused = 'Value created in safe context was used improperly';
+                        if (state.safeDepth === 0) {
+                            resetAndThrow(misused);
+                        }
+                        state.safeIssues.delete(unconsumed);
                         const key = Symbol('nonvalid.safe');
-                        const timeout = setTimeout(() => {
-                            throw new Error('Value created in safe context was used improperly');
-                        }, 0);
-                        safeMap[key] = { value, timeout };
+                        const issue = {};
+                        state.safeIssues.set(issue, misused);
+                        state.safeMap[key] = { value, issue };
                         return () => key;
                     }
                     let p = property;
-                    if (hasProperty(safeMap, property)) {
-                        p = safeMap[property].value;
-                        clearTimeout(safeMap[property].timeout);
+                    if (hasProperty(state.safeMap, property)) {
+                        p = state.safeMap[property].value;
+                        state.safeIssues.delete(state.safeMap[property].issue);
                     }
                     const valid = (
                         matchers.object(value) &&
@@ -291,85 +1911,260 @@ function createInstance() {
     };
 
     validator.root = () => {
-        if (funnel.length === 0) {
+        rejoin();
+        if (state.funnel.length === 0) {
             resetAndThrow('root() called outside of any object or array');
         }
-        return wrapIfSafe(funnel[0]);
+        return wrapIfSafe(state.funnel[0]);
     };
 
     validator.up = (levels = 0) => {
-        if (funnel.length <= levels) {
+        rejoin();
+        if (state.funnel.length <= levels) {
             resetAndThrow('up() call navigates above any object or array');
         }
-        return wrapIfSafe(funnel[funnel.length - 1 - levels]);
+        return wrapIfSafe(state.funnel[state.funnel.length - 1 - levels]);
     };
 
     const currentValue = () => {
-        return values[values.length - 1];
+        rejoin();
+        return state.values[state.values.length - 1];
+    };
+
+    const keyOf = (container, segment) => {
+        if (matchers.map(container)) {
+            return container.has(segment) || !/^-?\d+$/.test(segment) ? segment : Number(segment);
+        }
+        return matchers.array(container) && /^\d+$/.test(segment) ? Number(segment) : segment;
+    };
+
+    const childOf = (container, segment) => {
+        if (matchers.map(container)) {
+            return container.get(keyOf(container, segment));
+        }
+        return (matchers.object(container) || matchers.array(container))
+            && (hasProperty(container, segment) || isReleased(container, segment))
+            ? container[segment]
+            : undefined;
+    };
+
+    const splitPath = expression => expression === ''
+        ? []
+        : expression.split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    const resolvePath = (value, segments) => segments.reduce(childOf, value);
+
+    const keysAlong = (value, segments) => segments.map(segment => {
+        const key = keyOf(value, segment);
+        value = childOf(value, segment);
+        return key;
+    });
+
+    validator.at = (...args) => {
+        rejoin();
+        if (args.length !== 1 || !matchers.string(args[0])) {
+            throw new Error('at() expects exactly one argument, a path string');
+        }
+        if (state.values.length === 0) {
+            resetAndThrow('at() called outside of any context');
+        }
+        const [expression] = args;
+        const absolute = expression.startsWith('/');
+        const target = absolute ? [] : [...state.path];
+        for (const segment of splitPath(expression.slice(absolute ? 1 : 0))) {
+            if (segment === '..') {
+                if (target.length === 0) {
+                    resetAndThrow('at() call navigates above the root value');
+                }
+                target.pop();
+            } else if (segment !== '.') {
+                target.push(segment);
+            }
+        }
+        let depth = 0;
+        while (depth < target.length && depth < state.path.length && !matchers.symbol(state.path[depth])
+            && String(state.path[depth]) === String(target[depth])) {
+            depth++;
+        }
+        let tree = absolute ? 0 : state.trees.length - 1;
+        while (tree > 0 && depth < state.trees[tree].path) {
+            tree--;
+        }
+        const { path: base, funnel: first, value: root } = state.trees[tree];
+        const last = tree + 1 < state.trees.length ? state.trees[tree + 1].funnel : state.funnel.length;
+        if (tree === state.trees.length - 1 && depth === state.path.length) {
+            return wrapIfSafe(resolvePath(currentValue(), target.slice(depth)));
+        } else if (last === first) {
+            return wrapIfSafe(resolvePath(root, target.slice(base)));
+        }
+        const level = Math.min(depth - base, last - first - 1);
+        return wrapIfSafe(resolvePath(state.funnel[first + level], target.slice(base + level)));
+    };
+
+    const membersOf = container => {
+        if (matchers.array(container)) {
+            return [...container.entries()];
+        } else if (matchers.map(container)) {
+            return [...container];
+        } else if (matchers.set(container)) {
+            return [...container].map(member => [member, member]);
+        }
+        return allEntries(container);
+    };
+
+    const indexOf = (container, keyPath) => {
+        if (!['object', 'array', 'map', 'set'].some(type => matchers[type](container))) {
+            return new Map();
+        }
+        if (!state.indexes.has(container)) {
+            state.indexes.set(container, new Map());
+        }
+        const byKey = state.indexes.get(container);
+        if (!byKey.has(keyPath)) {
+            const index = new Map();
+            const segments = splitPath(keyPath);
+            for (const [key, member] of membersOf(container)) {
+                const identity = resolvePath(member, segments);
+                if (matchers.defined(identity) && !index.has(identity)) {
+                    index.set(identity, key);
+                }
+            }
+            byKey.set(keyPath, index);
+        }
+        return byKey.get(keyPath);
+    };
+
+    const checkConstraint = name => {
+        if (state.streaming) {
+            resetAndThrow(`${name}() constraints are not supported by stream()`);
+        }
+    };
+
+    validator.unique = (...args) => {
+        rejoin();
+        if (args.length > 1 || args.length === 1 && !matchers.string(args[0])) {
+            throw new Error('unique() expects no arguments or a key path string');
+        }
+        const [keyPath = ''] = args;
+        const segments = splitPath(keyPath);
+        return () => {
+            checkConstraint('unique');
+            if (state.path.length === 0) {
+                resetAndThrow('unique() constraint used outside of any object, array, map, or set');
+            }
+            const identity = resolvePath(currentValue(), segments);
+            const index = indexOf(state.funnel[state.path.length - 1], keyPath);
+            const first = index.get(identity);
+            if (matchers.undefined(identity) || !index.has(identity) || first === currentKey()) {
+                return false;
+            }
+            return conflict('duplicate-value', [...state.path.slice(0, -1), first], identity);
+        };
+    };
+
+    validator.references = (...args) => {
+        rejoin();
+        if (args.length < 1 || args.length > 2 || !args.every(arg => matchers.string(arg))) {
+            throw new Error('references() expects a collection path and an optional key path');
+        }
+        const [collectionPath, keyPath = ''] = args;
+        const segments = splitPath(collectionPath.replace(/^\//, ''));
+        return () => {
+            checkConstraint('references');
+            const root = state.funnel.length > 0 ? state.funnel[0] : currentValue();
+            const collection = resolvePath(root, segments);
+            const value = currentValue();
+            return !indexOf(collection, keyPath).has(value)
+                && conflict('missing-reference', keysAlong(root, segments), value);
+        };
     };
 
     validator.value = () => {
-        if (values.length === 0) {
+        rejoin();
+        if (state.values.length === 0) {
             resetAndThrow('value() called outside of any context');
         }
         return wrapIfSafe(currentValue());
     };
 
     const currentKey = () => {
-        return path.length === 0 ? undefined : path[path.length - 1];
+        return state.path.length === 0 ? undefined : state.path[state.path.length - 1];
+    };
+
+    const insideCollection = () => {
+        const container = state.funnel[state.path.length - 1];
+        return matchers.map(container) || matchers.set(container);
     };
 
     validator.key = () => {
-        const result = currentKey();
-        if (matchers.undefined(result)) {
+        rejoin();
+        if (state.path.length === 0) {
             resetAndThrow('key() called outside of any context');
         }
-        if (!matchers.string(result) && !matchers.symbol(result)) {
+        const result = currentKey();
+        if (!insideCollection() && !matchers.string(result) && !matchers.symbol(result)) {
             resetAndThrow('key() can be called for objects only');
         }
         return result;
     };
 
     validator.index = () => {
-        const result = currentKey();
-        if (matchers.undefined(result)) {
+        rejoin();
+        if (state.path.length === 0) {
             resetAndThrow('index() called outside of any context');
         }
-        if (!matchers.number(result)) {
+        const result = currentKey();
+        if (insideCollection() || !matchers.number(result)) {
             resetAndThrow('index() can be called for arrays only');
         }
         return result;
     };
 
-    const formatPath = (path, name) => {
-        const chainifyKey = key => {
-            if (matchers.symbol(key)) {
-                return `[${key.toString()}]`;
-            } else {
-                return `[${JSON.stringify(key)}]`;
-            }
-        };
-        return name ? name + path.map(chainifyKey).join('') : [...path];
-    };
-
-    validator.path = name => {
-        if (finished) {
+    validator.path = format => {
+        rejoin();
+        if (state.finished) {
             throw new Error('path() called after validation');
         }
-        if (!started) {
+        if (!state.started) {
             throw new Error('path() called before validation');
         }
-        return formatPath(path, name);
+        return formatPath(state.path, format);
     };
 
-    validator.errorPath = name => {
-        if (!finished) {
+    validator.errorPath = format => {
+        rejoin();
+        if (!state.finished) {
             throw new Error('errorPath() called before validation is completed');
         }
-        if (!errorPath) {
-            return errorPath;
+        if (!state.errorPath) {
+            return state.errorPath;
+        }
+        return formatPath(state.errorPath, format);
+    };
+
+    validator.coverage = () => {
+        rejoin();
+        if (!coverage) {
+            throw new Error('coverage() requires an instance created with the coverage option');
+        }
+        if (state.validatorDepth > 0) {
+            resetAndThrow('coverage() called during validation');
+        }
+        for (const [name, schema] of definitions) {
+            registerCoverage(definitionLocation(name), schema);
+        }
+        return [...coverage.values()].map(node => ({ ...node }));
+    };
+
+    validator.trace = () => {
+        rejoin();
+        if (!tracing) {
+            throw new Error('trace() requires an instance created with the trace option');
+        }
+        if (!state.finished) {
+            throw new Error('trace() called before validation is completed');
         }
-        return formatPath(errorPath, name);
+        return state.trace;
     };
 
     const enhanceMatcher = (matcher, name) => (...args) => {
@@ -377,23 +2172,30 @@ function createInstance() {
             throw new Error('Matchers are supposed to be run with exactly one or no arguments');
         } else if (args.length === 1) {
             const value = args[0];
-            if (values.length > 0 && matchers.function(value) && currentValue() !== value) {
-                safeDepth++;
+            if (state.values.length > 0 && matchers.function(value) && currentValue() !== value) {
+                if (state.safeDepth === 0) {
+                    state.safeIssues.clear();
+                }
+                state.safeDepth++;
                 let v;
                 try {
                     v = value();
                 } finally {
-                    safeDepth--;
+                    state.safeDepth--;
                 }
                 if (!matchers.object(v) || !hasProperty(v, privateSymbols.unwrap)) {
                     resetAndThrow('Callback didn’t perform navigation or didn’t return its result');
                 }
-                return matcher(v[privateSymbols.unwrap]);
+                const unwrapped = v[privateSymbols.unwrap];
+                if (state.safeDepth === 0 && state.safeIssues.size > 0) {
+                    resetAndThrow(state.safeIssues.values().next().value);
+                }
+                return matcher(unwrapped);
             } else {
                 return matcher(value);
             }
         } else {
-            if (values.length === 0) {
+            if (state.values.length === 0) {
                 throw new Error(`${name}() called without arguments outside of any context`);
             }
             return matcher(currentValue());
@@ -401,6 +2203,18 @@ function createInstance() {
     };
     for (const [name, matcher] of allEntries(matchers)) {
         validator[name] = enhanceMatcher(matcher, name);
+        if (hasProperty(matcherAnnotations, name)) {
+            annotations.set(validator[name], matcherAnnotations[name]);
+        }
+    }
+    for (const [name, factory] of allEntries(matcherFactories)) {
+        validator[name] = (...args) => {
+            const matcher = enhanceMatcher(factory(...args), name);
+            if (hasProperty(factoryAnnotations, name)) {
+                annotations.set(matcher, factoryAnnotations[name](...args));
+            }
+            return matcher;
+        };
     }
     validator.addMatcher = (...args) => {
         let matcher, name;
@@ -431,6 +2245,7 @@ function createInstance() {
             throw new Error(`Validator already has property "${name.toString()}"`);
         }
         validator[name] = enhanceMatcher(matcher, name);
+        return validator;
     };
 
     for (const [name, symbol] of allEntries(symbols)) {
@@ -442,4 +2257,10 @@ function createInstance() {
 
 const defaultInstance = createInstance();
 defaultInstance.instance = createInstance;
+defaultInstance.ValidationError = ValidationError;
+defaultInstance.Message = Message;
+defaultInstance.formatPath = formatPath;
+defaultInstance.parsePath = parsePath;
+defaultInstance.formatTrace = formatTrace;
+defaultInstance.formatCoverage = formatCoverage;
 module.exports = defaultInstance;
\ No newline at end of file
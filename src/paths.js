@@ -0,0 +1,291 @@
+'use strict';
+
+const formats = ['js', 'pointer', 'jsonpath', 'dotted'];
+
+const identifier = /^[A-Za-z_][A-Za-z\d_]*$/;
+const canonicalIndex = /^(?:0|[1-9]\d*)$/;
+
+const isIndex = key => Number.isInteger(key) && key >= 0;
+
+const isStructured = key => typeof key === 'object' && key !== null;
+
+const chainifyKey = key => {
+    if (typeof key === 'string' || (typeof key === 'number' && isFinite(key))) {
+        return `[${JSON.stringify(key)}]`;
+    } else if (typeof key === 'bigint') {
+        return `[${key}n]`;
+    } else if (isStructured(key)) {
+        try {
+            return `[${JSON.stringify(key)}]`;
+        } catch(e) {}
+    }
+    return `[${String(key)}]`;
+};
+
+const stringifyKey = key => {
+    if (typeof key === 'string') {
+        return key;
+    } else if (isStructured(key)) {
+        try {
+            return JSON.stringify(key);
+        } catch(e) {}
+    }
+    return String(key);
+};
+
+const quote = string => `'${string.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+const formatters = {
+    js: (path, name = '') => name + path.map(chainifyKey).join(''),
+    pointer: path => path
+        .map(key => `/${stringifyKey(key).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+        .join(''),
+    jsonpath: path => '$' + path.map(key => {
+        if (isIndex(key)) {
+            return `[${key}]`;
+        }
+        const string = stringifyKey(key);
+        return identifier.test(string) ? `.${string}` : `[${quote(string)}]`;
+    }).join(''),
+    dotted: path => path
+        .map(key => stringifyKey(key).replace(/\\/g, '\\\\').replace(/\./g, '\\.'))
+        .join('.')
+};
+
+const checkFormat = format => {
+    if (!formats.includes(format)) {
+        throw new Error(`Unknown path format "${String(format)}"`);
+    }
+};
+
+const formatPath = (path, format) => {
+    if (!Array.isArray(path)) {
+        throw new Error('Path must be an array of keys');
+    }
+    if (!format) {
+        return [...path];
+    } else if (typeof format === 'string') {
+        return formatters.js(path, format);
+    } else if (typeof format !== 'object' || format === null) {
+        throw new Error('Path format must be either a name or an options object');
+    }
+    const { format: name = 'js' } = format;
+    checkFormat(name);
+    if (format.name !== undefined && typeof format.name !== 'string') {
+        throw new Error('Path name must be a string');
+    }
+    return formatters[name](path, format.name);
+};
+
+const toKey = segment => canonicalIndex.test(segment) ? Number(segment) : segment;
+
+const unescapeQuoted = (string, invalid) => {
+    let result = '';
+    for (let index = 0; index < string.length; index++) {
+        let char = string[index];
+        if (char === '\\') {
+            char = string[++index];
+            if (char === 'u') {
+                const code = string.slice(index + 1, index + 5);
+                if (!/^[\da-f]{4}$/i.test(code)) {
+                    invalid();
+                }
+                char = String.fromCharCode(parseInt(code, 16));
+                index += 4;
+            } else if (char === undefined) {
+                invalid();
+            } else {
+                char = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }[char] || char;
+            }
+        }
+        result += char;
+    }
+    return result;
+};
+
+const closingQuote = (string, start) => {
+    const quoteChar = string[start];
+    for (let index = start + 1; index < string.length; index++) {
+        if (string[index] === '\\') {
+            index++;
+        } else if (string[index] === quoteChar) {
+            return index;
+        }
+    }
+    return -1;
+};
+
+const closingBracket = (string, start) => {
+    let depth = 0;
+    for (let index = start; index < string.length; index++) {
+        const char = string[index];
+        if (char === '"') {
+            index = closingQuote(string, index);
+            if (index === -1) {
+                return -1;
+            }
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) {
+                return index + 1;
+            }
+        }
+    }
+    return -1;
+};
+
+const closingSymbol = (string, start) => {
+    let index = string.indexOf(')]', start);
+    while (index !== -1 && index + 2 < string.length && string[index + 2] !== '[') {
+        index = string.indexOf(')]', index + 1);
+    }
+    return index + 1;
+};
+
+const parsers = {
+    pointer: (string, invalid) => {
+        let pointer = string;
+        if (pointer.startsWith('#')) {
+            try {
+                pointer = decodeURIComponent(pointer.slice(1));
+            } catch(e) {
+                invalid();
+            }
+        }
+        if (pointer === '') {
+            return [];
+        }
+        if (!pointer.startsWith('/')) {
+            invalid();
+        }
+        return pointer.slice(1).split('/')
+            .map(segment => toKey(segment.replace(/~1/g, '/').replace(/~0/g, '~')));
+    },
+    dotted: (string, invalid) => {
+        if (string === '') {
+            return [];
+        }
+        const path = [];
+        let segment = '';
+        for (let index = 0; index < string.length; index++) {
+            const char = string[index];
+            if (char === '\\') {
+                if (index + 1 === string.length) {
+                    invalid();
+                }
+                segment += string[++index];
+            } else if (char === '.') {
+                path.push(toKey(segment));
+                segment = '';
+            } else {
+                segment += char;
+            }
+        }
+        path.push(toKey(segment));
+        return path;
+    },
+    jsonpath: (string, invalid) => {
+        if (!string.startsWith('$')) {
+            invalid();
+        }
+        const path = [];
+        let index = 1;
+        while (index < string.length) {
+            if (string[index] === '.') {
+                const match = string.slice(index + 1).match(/^[A-Za-z_][A-Za-z\d_]*/);
+                if (!match) {
+                    invalid();
+                }
+                path.push(match[0]);
+                index += match[0].length + 1;
+            } else if (string[index] === '[') {
+                const next = string[index + 1];
+                if (next === '\'' || next === '"') {
+                    const end = closingQuote(string, index + 1);
+                    if (end === -1 || string[end + 1] !== ']') {
+                        invalid();
+                    }
+                    path.push(unescapeQuoted(string.slice(index + 2, end), invalid));
+                    index = end + 2;
+                } else {
+                    const match = string.slice(index).match(/^\[(0|[1-9]\d*)\]/);
+                    if (!match) {
+                        invalid();
+                    }
+                    path.push(Number(match[1]));
+                    index += match[0].length;
+                }
+            } else {
+                invalid();
+            }
+        }
+        return path;
+    },
+    js: (string, invalid) => {
+        const path = [];
+        let index = string.indexOf('[');
+        if (index === -1) {
+            return path;
+        }
+        while (index < string.length) {
+            if (string[index] !== '[') {
+                invalid();
+            }
+            const start = index + 1;
+            let end;
+            if (string[start] === '"') {
+                end = closingQuote(string, start) + 1;
+            } else if (string[start] === '{' || string[start] === '[') {
+                end = closingBracket(string, start);
+            } else if (string.startsWith('Symbol(', start)) {
+                end = closingSymbol(string, start);
+            } else {
+                end = string.indexOf(']', start);
+            }
+            if (end <= 0 || string[end] !== ']') {
+                invalid();
+            }
+            path.push(parseKey(string.slice(start, end), invalid));
+            index = end + 1;
+        }
+        return path;
+    }
+};
+
+const specialKeys = { undefined: undefined, NaN: NaN, Infinity: Infinity, '-Infinity': -Infinity };
+
+const parseKey = (content, invalid) => {
+    if (/^-?\d+n$/.test(content)) {
+        return BigInt(content.slice(0, -1));
+    }
+    const symbol = content.match(/^Symbol\(([^]*)\)$/);
+    if (symbol) {
+        return Symbol(symbol[1]);
+    }
+    if (Object.hasOwnProperty.call(specialKeys, content)) {
+        return specialKeys[content];
+    }
+    try {
+        return JSON.parse(content);
+    } catch(e) {
+        return invalid();
+    }
+};
+
+const parsePath = (...args) => {
+    if (args.length < 1 || args.length > 2) {
+        throw new Error('parsePath() expects one or two arguments');
+    }
+    const [string, format = 'js'] = args;
+    if (typeof string !== 'string') {
+        throw new Error('Path to parse must be a string');
+    }
+    checkFormat(format);
+    return parsers[format](string, () => {
+        throw new Error(`Cannot parse "${string}" as a path in the ${format} format`);
+    });
+};
+
+module.exports = { formatPath, parsePath };
@@ -0,0 +1,236 @@
+'use strict';
+
+const numberPattern = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const numberChar = /[-+.\deE]/;
+const literalChar = /[a-z]/;
+const literals = { true: true, false: false, null: null };
+const whitespace = new Set([' ', '\t', '\n', '\r']);
+
+const createTokenizer = () => {
+    const stack = [];
+    let expecting = 'value';
+    let token = null;
+    let offset = 0;
+    let events = [];
+
+    const fail = (description, index, position = offset + index) => {
+        throw new SyntaxError(`${description} in JSON at position ${position}`);
+    };
+
+    const expectsValue = () => expecting === 'value' || expecting === 'first-value';
+    const expectsKey = () => expecting === 'key' || expecting === 'first-key';
+
+    const afterValue = () => {
+        expecting = stack.length > 0 ? 'comma' : 'done';
+    };
+
+    const emit = (value, index) => {
+        if (token.kind === 'string' && expectsKey()) {
+            events.push({ type: 'key', key: value });
+            expecting = 'colon';
+        } else if (expectsValue()) {
+            events.push({ type: 'value', value });
+            afterValue();
+        } else {
+            fail('Unexpected token', index);
+        }
+        token = null;
+    };
+
+    const finishScalar = index => {
+        if (token.kind === 'number' && numberPattern.test(token.text)) {
+            emit(Number(token.text), index);
+        } else if (token.kind === 'literal' && Object.hasOwnProperty.call(literals, token.text)) {
+            emit(literals[token.text], index);
+        } else {
+            fail(`Unexpected token ${JSON.stringify(token.text)}`, index, token.start);
+        }
+    };
+
+    const continueString = (text, start) => {
+        const pattern = /["\\]/g;
+        let index = start;
+        for (;;) {
+            if (token.escaped) {
+                if (index >= text.length) {
+                    break;
+                }
+                token.escaped = false;
+                index++;
+                continue;
+            }
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            if (!match) {
+                break;
+            }
+            if (match[0] === '\\') {
+                token.escaped = true;
+                index = match.index + 1;
+                continue;
+            }
+            token.text += text.slice(start, match.index + 1);
+            let value;
+            try {
+                value = JSON.parse(token.text);
+            } catch(e) {
+                fail('Bad string', match.index);
+            }
+            emit(value, match.index);
+            return match.index + 1;
+        }
+        token.text += text.slice(start);
+        return text.length;
+    };
+
+    const continueScalar = (text, start) => {
+        const pattern = token.kind === 'number' ? numberChar : literalChar;
+        let index = start;
+        while (index < text.length && pattern.test(text[index])) {
+            index++;
+        }
+        token.text += text.slice(start, index);
+        if (index < text.length) {
+            finishScalar(index);
+        }
+        return index;
+    };
+
+    const open = (kind, index) => {
+        if (!expectsValue()) {
+            fail(`Unexpected token ${kind === 'object' ? '{' : '['}`, index);
+        }
+        events.push({ type: 'start', kind });
+        stack.push(kind);
+        expecting = kind === 'object' ? 'first-key' : 'first-value';
+    };
+
+    const close = (kind, index) => {
+        const allowed = kind === 'object' ? 'first-key' : 'first-value';
+        if (stack[stack.length - 1] !== kind || expecting !== allowed && expecting !== 'comma') {
+            fail(`Unexpected token ${kind === 'object' ? '}' : ']'}`, index);
+        }
+        events.push({ type: 'end' });
+        stack.pop();
+        afterValue();
+    };
+
+    const write = text => {
+        let index = 0;
+        while (index < text.length) {
+            if (token) {
+                index = token.kind === 'string' ? continueString(text, index) : continueScalar(text, index);
+                continue;
+            }
+            const char = text[index];
+            if (whitespace.has(char)) {
+                index++;
+                continue;
+            }
+            if (expecting === 'done') {
+                fail('Unexpected non-whitespace character after JSON', index);
+            } else if (char === '{' || char === '[') {
+                open(char === '{' ? 'object' : 'array', index);
+            } else if (char === '}' || char === ']') {
+                close(char === '}' ? 'object' : 'array', index);
+            } else if (char === ':' && expecting === 'colon') {
+                expecting = 'value';
+            } else if (char === ',' && expecting === 'comma') {
+                expecting = stack[stack.length - 1] === 'object' ? 'key' : 'value';
+            } else if (char === '"' && (expectsValue() || expectsKey())) {
+                token = { kind: 'string', text: '"', escaped: false };
+                index = continueString(text, index + 1);
+                continue;
+            } else if ((char === '-' || char >= '0' && char <= '9') && expectsValue()) {
+                token = { kind: 'number', text: '', start: offset + index };
+                index = continueScalar(text, index);
+                continue;
+            } else if (literalChar.test(char) && expectsValue()) {
+                token = { kind: 'literal', text: '', start: offset + index };
+                index = continueScalar(text, index);
+                continue;
+            } else {
+                fail(`Unexpected token ${JSON.stringify(char)}`, index);
+            }
+            index++;
+        }
+        offset += text.length;
+        const result = events;
+        events = [];
+        return result;
+    };
+
+    const end = () => {
+        if (token && token.kind === 'string') {
+            fail('Unterminated string', 0);
+        } else if (token) {
+            finishScalar(0);
+        }
+        if (expecting !== 'done') {
+            throw new SyntaxError('Unexpected end of JSON input');
+        }
+        const result = events;
+        events = [];
+        return result;
+    };
+
+    return { write, end };
+};
+
+const createReader = source => {
+    let iterator;
+    if (source && typeof source[Symbol.asyncIterator] === 'function') {
+        iterator = source[Symbol.asyncIterator]();
+    } else if (source && typeof source !== 'string' && typeof source[Symbol.iterator] === 'function') {
+        iterator = source[Symbol.iterator]();
+    } else {
+        throw new Error('stream() expects an iterable or async iterable of chunks');
+    }
+    const tokenizer = createTokenizer();
+    const decoder = new TextDecoder();
+    let queue = [];
+    let head = 0;
+    let done = false;
+
+    const pull = async () => {
+        const step = await iterator.next();
+        if (step.done) {
+            done = true;
+            queue = tokenizer.write(decoder.decode()).concat(tokenizer.end());
+        } else {
+            const chunk = step.value;
+            const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+            queue = tokenizer.write(text);
+        }
+        head = 0;
+    };
+
+    const fill = async () => {
+        while (head >= queue.length) {
+            if (done) {
+                throw new SyntaxError('Unexpected end of JSON input');
+            }
+            await pull();
+        }
+        return queue[head++];
+    };
+
+    return {
+        next: () => head < queue.length ? queue[head++] : fill(),
+        finish: async () => {
+            while (!done) {
+                await pull();
+            }
+        },
+        close: () => {
+            if (!done) {
+                done = true;
+                if (typeof iterator.return === 'function') {
+                    Promise.resolve(iterator.return()).catch(() => {});
+                }
+            }
+        }
+    };
+};
+
+module.exports = { createReader };
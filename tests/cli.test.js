@@ -0,0 +1,139 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const bin = path.resolve(__dirname, '../bin/nonvalid.js');
+
+let directory;
+
+const write = (name, content) => fs.writeFileSync(path.join(directory, name), content);
+
+const run = (args, input = '') => {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [bin, ...args], {
+        cwd: directory,
+        input,
+        encoding: 'utf8',
+        timeout: 20000
+    });
+    return { status, stdout: stdout.trim(), stderr: stderr.trim() };
+};
+
+beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nonvalid-cli-'));
+    write('factory.js', `module.exports = nv => ({
+        id: () => !nv.integer() && 'ID must be an integer',
+        tags: [nv.end, () => !nv.string() && 'Tag must be a string']
+    });`);
+    write('plain.mjs', 'export default { id: 1 };');
+    write('named.mjs', 'export const schema = { id: 1 };');
+    write('broken.js', 'module.exports = nv => ({ [nv.other]: 1 });');
+    write('throwing.js', 'module.exports = () => () => { throw new Error(\'Boom\'); };');
+    write('lazy.js', 'module.exports = nv => () => nv({ [nv.other]: 1 });');
+    write('valid.json', '{"id": 1, "tags": ["a"]}');
+    write('invalid.json', '{"id": 1, "tags": ["a", 2]}');
+    write('malformed.json', '{"id": ');
+});
+
+afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('command-line interface', () => {
+    test('valid inputs', () => {
+        expect(run(['factory.js', 'valid.json']))
+            .toEqual({ status: 0, stdout: 'valid.json: valid', stderr: '' });
+        expect(run(['factory.js'], '{"id": 2, "tags": []}').stdout).toBe('<stdin>: valid');
+    });
+
+    test('invalid inputs', () => {
+        const args = ['factory.js', 'valid.json', 'invalid.json', '-', 'malformed.json'];
+        const { status, stdout } = run(args, '{"id": "1", "tags": []}');
+        expect(status).toBe(1);
+        expect(stdout.split('\n')).toEqual([
+            'valid.json: valid',
+            'invalid.json: invalid at value["tags"][1]: Tag must be a string',
+            '<stdin>: invalid at value["id"]: ID must be an integer',
+            'malformed.json: invalid: Unexpected end of JSON input'
+        ]);
+        expect(run(['plain.mjs', '--path', 'pointer'], '{"id": 2}').stdout).toBe('<stdin>: invalid at /id');
+        expect(run(['plain.mjs', '--path', 'pointer'], '[]').stdout).toBe('<stdin>: invalid at (root)');
+        expect(run(['plain.mjs'], '[]').stdout).toBe('<stdin>: invalid at value');
+        expect(run(['--path=jsonpath', 'factory.js', 'invalid.json']).stdout)
+            .toBe('invalid.json: invalid at $.tags[1]: Tag must be a string');
+    });
+
+    test('JSON output', () => {
+        const args = ['factory.js', 'valid.json', 'invalid.json', '--format', 'json', '--path', 'pointer'];
+        const { status, stdout } = run(args);
+        expect(status).toBe(1);
+        expect(JSON.parse(stdout)).toEqual({
+            valid: false,
+            results: [
+                { file: 'valid.json', valid: true, status: 'valid', error: false, errorPath: null },
+                {
+                    file: 'invalid.json',
+                    valid: false,
+                    status: 'invalid',
+                    error: 'Tag must be a string',
+                    errorPath: '/tags/1'
+                }
+            ]
+        });
+        expect(JSON.parse(run(['--format=json', 'plain.mjs'], '{"id": 1}').stdout)).toEqual({
+            valid: true,
+            results: [{ file: '<stdin>', valid: true, status: 'valid', error: false, errorPath: null }]
+        });
+        expect(JSON.parse(run(['--format=json', 'throwing.js'], '{}').stdout)).toEqual({
+            valid: false,
+            results: [{ file: '<stdin>', valid: false, status: 'error', error: 'Boom', errorPath: null }]
+        });
+    });
+
+    test('schema errors', () => {
+        expect(run(['broken.js', 'valid.json'])).toEqual({
+            status: 2,
+            stdout: '',
+            stderr: 'nonvalid: The catch-other callback must be a function'
+        });
+        expect(run(['named.mjs', 'valid.json']))
+            .toEqual({ status: 2, stdout: '', stderr: 'nonvalid: named.mjs has no default export' });
+        const missing = run(['missing.js', 'valid.json']);
+        expect(missing.status).toBe(2);
+        expect(missing.stderr).toMatch(/^nonvalid: Cannot find module/);
+    });
+
+    test('input errors', () => {
+        const { status, stdout } = run(['factory.js', 'missing.json', 'invalid.json', 'valid.json']);
+        expect(status).toBe(2);
+        expect(stdout.split('\n')).toEqual([
+            expect.stringMatching(/^missing\.json: error: ENOENT: no such file or directory/),
+            'invalid.json: invalid at value["tags"][1]: Tag must be a string',
+            'valid.json: valid'
+        ]);
+        expect(run(['throwing.js', 'valid.json', 'invalid.json'])).toEqual({
+            status: 2,
+            stdout: 'valid.json: error: Boom\ninvalid.json: error: Boom',
+            stderr: ''
+        });
+        expect(run(['lazy.js', 'valid.json'])).toEqual({
+            status: 2,
+            stdout: 'valid.json: error: The catch-other callback must be a function',
+            stderr: ''
+        });
+    });
+
+    test('usage', () => {
+        const help = run(['--help']);
+        expect(help.status).toBe(0);
+        expect(help.stdout).toMatch(/^Usage: nonvalid/);
+        const misuses = [[], ['--format', 'xml', 'factory.js'], ['--path'], ['--verbose', 'factory.js']];
+        for (const args of misuses) {
+            const { status, stderr } = run(args);
+            expect(status).toBe(2);
+            expect(stderr).toMatch(/^nonvalid: .*\n\nUsage: nonvalid/);
+        }
+    });
+});
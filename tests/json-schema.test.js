@@ -0,0 +1,391 @@
+'use strict';
+
+const nonvalid = require('../src/nonvalid');
+
+function check(document, cases) {
+    const nv = nonvalid.instance();
+    const validate = nv.compile(nv.fromJSONSchema(document));
+    for (const [value, error, errorPath = []] of cases) {
+        expect(validate(value)).toBe(error);
+        expect(nv.errorPath()).toEqual(error ? errorPath : null);
+    }
+}
+
+describe('importing JSON Schema', () => {
+    test('boolean schemas', () => {
+        check(true, [[1, false], [null, false]]);
+        check({}, [[{ a: [] }, false]]);
+        check(false, [[1, 'false']]);
+    });
+
+    test('types', () => {
+        check({ type: 'integer' }, [[1, false], [1.5, 'type'], ['1', 'type'], [Infinity, 'type']]);
+        check({ type: 'number' }, [[1.5, false], [NaN, 'type'], [null, 'type']]);
+        check({ type: ['string', 'null'] }, [['a', false], [null, false], [false, 'type']]);
+        check({ type: 'object' }, [[{}, false], [[], 'type'], [null, 'type']]);
+        check({ type: 'array' }, [[[], false], [{}, 'type']]);
+        check({ type: 'boolean' }, [[false, false], [0, 'type']]);
+        expect(() => nonvalid.instance().fromJSONSchema({ type: 'float' }))
+            .toThrow(new Error('Unknown type "float" at #/type'));
+    });
+
+    test('enum and const', () => {
+        check({ enum: [1, 'a', { b: [1] }] }, [
+            [1, false], [{ b: [1] }, false], [{ b: [2] }, 'enum'], ['1', 'enum']
+        ]);
+        check({ const: [1, { a: null }] }, [
+            [[1, { a: null }], false], [[1, { a: 0 }], 'const'], [[1], 'const']
+        ]);
+    });
+
+    test('limits', () => {
+        check({ minimum: 1, maximum: 3 }, [
+            [1, false], [3, false], [0, 'minimum'], [4, 'maximum'], ['a', false]
+        ]);
+        check({ exclusiveMinimum: 1, exclusiveMaximum: 3 }, [
+            [2, false], [1, 'exclusiveMinimum'], [3, 'exclusiveMaximum']
+        ]);
+        check({ minimum: 1, exclusiveMinimum: true }, [[2, false], [1, 'exclusiveMinimum']]);
+        check({ multipleOf: 0.5 }, [[1.5, false], [1.2, 'multipleOf']]);
+        check({ minLength: 2, maxLength: 3 }, [
+            ['ab', false], ['😀😀', false], ['a', 'minLength'], ['abcd', 'maxLength']
+        ]);
+        check({ pattern: '^a+$' }, [['aa', false], ['ab', 'pattern'], [1, false]]);
+        check({ minItems: 1, maxItems: 2, uniqueItems: true }, [
+            [[1], false], [[], 'minItems'], [[1, 2, 3], 'maxItems'], [[{ a: 1 }, { a: 1 }], 'uniqueItems']
+        ]);
+        check({ minProperties: 1, maxProperties: 1 }, [
+            [{ a: 1 }, false], [{}, 'minProperties'], [{ a: 1, b: 2 }, 'maxProperties']
+        ]);
+    });
+
+    test('objects', () => {
+        check({
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                tags: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['id', 'extra'],
+            additionalProperties: false
+        }, [
+            [{ id: 1, extra: 1 }, 'additionalProperties', ['extra']],
+            [{ id: 1, name: 'a', tags: ['b'] }, 'required', ['extra']],
+            [{ name: 'a' }, 'required', ['id']],
+            [{ id: 1, name: 2 }, 'type', ['name']],
+            [{ id: 1, tags: ['a', 3] }, 'type', ['tags', 1]],
+            [{ id: 1, other: 1 }, 'required', ['extra']]
+        ]);
+        check({
+            properties: { a: { const: 1 } },
+            patternProperties: { '^x-': { type: 'string' } },
+            additionalProperties: { type: 'number' }
+        }, [
+            [{ a: 1, 'x-b': 'c', d: 2 }, false],
+            [{ 'x-b': 1 }, 'type', ['x-b']],
+            [{ d: 'e' }, 'type', ['d']],
+            [{ a: 2 }, 'const', ['a']],
+            ['not an object', false]
+        ]);
+        check({
+            properties: { xa: { type: 'number' } },
+            patternProperties: { '^x': { minimum: 10 } }
+        }, [
+            [{ xa: 15 }, false],
+            [{ xa: 5 }, 'minimum', ['xa']],
+            [{ xa: 'a' }, 'type', ['xa']]
+        ]);
+        check(JSON.parse('{"properties": {"__proto__": {"type": "string"}}, "required": ["__proto__"]}'), [
+            [JSON.parse('{"__proto__": "a"}'), false],
+            [JSON.parse('{"__proto__": 5}'), 'type', ['__proto__']]
+        ]);
+    });
+
+    test('arrays', () => {
+        check({ prefixItems: [{ const: 'a' }, { type: 'number' }], items: false }, [
+            [[], false], [['a'], false], [['a', 1], false],
+            [['b'], 'const', [0]], [['a', 'b'], 'type', [1]], [['a', 1, 2], 'items', [2]]
+        ]);
+        check({ prefixItems: [{ const: 'a' }], items: { type: 'number' } }, [
+            [['a', 1, 2], false], [['a', 1, 'b'], 'type', [2]]
+        ]);
+        check({ items: [{ const: 'a' }], additionalItems: false }, [
+            [['a'], false], [['a', 1], 'additionalItems', [1]]
+        ]);
+        check({ items: [{ const: 'a' }] }, [[['a', 1], false]]);
+    });
+
+    test('references', () => {
+        const tree = {
+            $defs: {
+                node: {
+                    type: 'object',
+                    properties: {
+                        value: { $ref: '#/$defs/value' },
+                        children: { type: 'array', items: { $ref: '#/$defs/node' } }
+                    },
+                    required: ['value']
+                },
+                value: { type: 'integer', minimum: 0 }
+            },
+            $ref: '#/$defs/node'
+        };
+        check(tree, [
+            [{ value: 1, children: [{ value: 2 }, { value: 3, children: [] }] }, false],
+            [
+                { value: 1, children: [{ value: 2, children: [{ value: -1 }] }] },
+                'minimum', ['children', 0, 'children', 0, 'value']
+            ],
+            [{ value: 1, children: [{}] }, 'required', ['children', 0, 'value']]
+        ]);
+        check({ definitions: { 'a/b': { type: 'null' } }, items: { $ref: '#/definitions/a~1b' } }, [
+            [[null], false], [[1], 'type', [0]]
+        ]);
+        check({ type: 'array', items: { $ref: '#' } }, [[[[], [[]]], false], [[[1]], 'type', [0, 0]]]);
+        check({ allOf: [{ type: 'number' }, { minimum: 2 }] }, [[2, false], [1, 'minimum'], ['a', 'type']]);
+    });
+
+    test('alternatives', () => {
+        check({ properties: { a: { anyOf: [{ type: 'string' }, { items: { type: 'number' } }] } } }, [
+            [{ a: 'x' }, false], [{ a: [1] }, false], [{ a: ['x'] }, 'anyOf', ['a']], [{ a: 1 }, false]
+        ]);
+        check({ oneOf: [{ type: 'number' }, { minimum: 2 }] }, [[1, false], ['a', false], [3, 'oneOf']]);
+    });
+
+    test('unsupported documents', () => {
+        const nv = nonvalid.instance();
+        expect(() => nv.fromJSONSchema({ items: { $ref: 'other.json#/a' } }))
+            .toThrow(new Error('Only local references are supported, found "other.json#/a" at #/items'));
+        expect(() => nv.fromJSONSchema({ $ref: '#/$defs/missing' }))
+            .toThrow(new Error('Cannot resolve reference "#/$defs/missing" at #'));
+        expect(() => nv.fromJSONSchema({ properties: { a: { not: {} } } }))
+            .toThrow(new Error('Unsupported JSON Schema keyword "not" at #/properties/a'));
+        expect(() => nv.fromJSONSchema({ items: 5 }))
+            .toThrow(new Error('Expected a schema object or a boolean at #/items'));
+    });
+});
+
+describe('exporting JSON Schema', () => {
+    const dialect = 'https://json-schema.org/draft/2020-12/schema';
+
+    test('literals', () => {
+        const nv = nonvalid.instance();
+        expect(nv.toJSONSchema('a')).toEqual({ $schema: dialect, const: 'a' });
+        expect(nv.toJSONSchema(null)).toEqual({ $schema: dialect, const: null });
+        expect(nv.toJSONSchema(undefined)).toBe(false);
+        expect(nv.toJSONSchema(NaN)).toBe(false);
+        expect(() => nv.toJSONSchema({ a: BigInt(5) }))
+            .toThrow(new Error('BigInt literals cannot be exported to JSON Schema'));
+        expect(nv.toJSONSchema(new Map())).toBe(false);
+    });
+
+    test('objects and arrays', () => {
+        const nv = nonvalid.instance();
+        expect(nv.toJSONSchema({
+            a: 1,
+            b: () => false,
+            c: undefined,
+            d: [{}, 'x', () => false, nv.end, nv.string],
+            e: [null],
+            [nv.error]: 'Invalid'
+        })).toEqual({
+            $schema: dialect,
+            type: 'object',
+            properties: {
+                a: { const: 1 },
+                b: {},
+                c: false,
+                d: {
+                    type: 'array',
+                    prefixItems: [
+                        { type: 'object', properties: {}, additionalProperties: false },
+                        { const: 'x' },
+                        {}
+                    ],
+                    items: { type: 'string' },
+                    minItems: 2
+                },
+                e: { type: 'array', prefixItems: [{ const: null }], items: false, minItems: 1 }
+            },
+            required: ['a', 'd', 'e'],
+            additionalProperties: false
+        });
+        expect(nv.toJSONSchema({ a: nv.optional(1), b: [nv.optional(2)] })).toEqual({
+            $schema: dialect,
+            type: 'object',
+            properties: {
+                a: { const: 1 },
+                b: { type: 'array', prefixItems: [{ const: 2 }], items: false }
+            },
+            required: ['b'],
+            additionalProperties: false
+        });
+        const defaults = {
+            a: nv.withDefault(nv.number, 1),
+            b: [nv.withDefault(2, 2)],
+            c: nv.withDefault(1, undefined)
+        };
+        expect(nv.toJSONSchema(defaults)).toEqual({
+            $schema: dialect,
+            type: 'object',
+            properties: {
+                a: { type: 'number', default: 1 },
+                b: { type: 'array', prefixItems: [{ const: 2, default: 2 }], items: false },
+                c: { const: 1 }
+            },
+            required: ['b'],
+            additionalProperties: false
+        });
+        expect(nv.toJSONSchema(nv.anyOf(1, [nv.oneOf(nv.string, null)]))).toEqual({
+            $schema: dialect,
+            anyOf: [
+                { const: 1 },
+                { type: 'array', prefixItems: [{ oneOf: [{ type: 'string' }, { const: null }] }], items: false, minItems: 1 }
+            ]
+        });
+        expect(nv.toJSONSchema({ [nv.other]: nv.number })).toEqual({
+            $schema: dialect, type: 'object', properties: {}, additionalProperties: { type: 'number' }
+        });
+        expect(nv.toJSONSchema([1, nv.end, 'Not a list', () => false])).toEqual({
+            $schema: dialect, type: 'array', prefixItems: [{ const: 1 }], items: {}, minItems: 1
+        });
+        const patterns = { a: 1, [nv.pattern(/^x-/i)]: nv.string, [nv.pattern(/^\d+$/)]: 2 };
+        expect(nv.toJSONSchema(patterns)).toEqual({
+            $schema: dialect,
+            type: 'object',
+            properties: { a: { const: 1 } },
+            required: ['a'],
+            patternProperties: { '^\\d+$': { const: 2 } },
+            additionalProperties: { anyOf: [false, { type: 'string' }] },
+            $comment: 'Keys matching /^x-/i are validated under additionalProperties'
+        });
+        expect(nv.toJSONSchema({ [nv.pattern(/^x-/)]: nv.string, [nv.other]: nv.number })).toEqual({
+            $schema: dialect,
+            type: 'object',
+            properties: {},
+            patternProperties: { '^x-': { type: 'string' } },
+            additionalProperties: { type: 'number' }
+        });
+    });
+
+    test('annotations', () => {
+        const nv = nonvalid.instance();
+        const positive = nv.annotate(v => !(nv.number(v) && v > 0), { type: 'number', exclusiveMinimum: 0 });
+        const callback = nv.annotate(() => false, nv.string);
+        expect(nv.toJSONSchema([callback, positive, nv.annotate(() => false, positive), nv.annotate(() => 0, true)]))
+            .toEqual({
+                $schema: dialect,
+                type: 'array',
+                prefixItems: [
+                    { type: 'string' },
+                    { type: 'number', exclusiveMinimum: 0 },
+                    { type: 'number', exclusiveMinimum: 0 },
+                    true
+                ],
+                items: false,
+                minItems: 3
+            });
+        expect(nv.toJSONSchema(positive)).not.toBe(nv.toJSONSchema(positive));
+        expect(nonvalid.instance().toJSONSchema(callback)).toEqual({ $schema: dialect });
+        const exported = nv.toJSONSchema({
+            id: nv.uuid,
+            age: nv.range(0, 150),
+            tags: nv.size(1),
+            code: nv.matches(/^[A-Z]+$/g),
+            word: nv.matches(/^[a-z]+$/gi),
+            big: nv.range(BigInt(1), BigInt(2) ** BigInt(64) + BigInt(1)),
+            when: nv.isoDate,
+            color: nv.oneOfValues(['red', null]),
+            raw: nv.oneOfValues([undefined]),
+            note: nv.optional(nv.string)
+        });
+        expect(exported.required).toEqual(['id', 'age', 'tags', 'code', 'word', 'big', 'when', 'color']);
+        const local = new RegExp(exported.properties.when.anyOf[2].pattern, 'u');
+        for (const date of ['2024-02-29T10:30', '2024-02-29T10:30:15', '2024-02-29T10:30+02:00']) {
+            expect(nv.isoDate(date) && local.test(date)).toBe(true);
+        }
+        expect(exported.properties).toEqual({
+            id: { type: 'string', format: 'uuid' },
+            age: { type: 'number', minimum: 0, maximum: 150 },
+            tags: { minLength: 1, minItems: 1 },
+            code: { type: 'string', pattern: '^[A-Z]+$' },
+            word: { type: 'string', $comment: 'Matches /^[a-z]+$/i' },
+            big: { type: 'number', minimum: 1 },
+            when: {
+                type: 'string',
+                anyOf: [
+                    { format: 'date' },
+                    { format: 'date-time' },
+                    {
+                        pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}'
+                            + '(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?$'
+                    }
+                ]
+            },
+            color: { enum: ['red', null] },
+            raw: {},
+            note: { type: 'string' }
+        });
+        const cyclic = () => false;
+        expect(nv.annotate(cyclic, cyclic)).toBe(cyclic);
+        expect(nv.toJSONSchema(cyclic)).toEqual({ $schema: dialect });
+        expect(() => nv.annotate(() => false)).toThrow(new Error('annotate() expects exactly two arguments'));
+        expect(() => nv.annotate({}, true)).toThrow(new Error('Only functions can be annotated'));
+        expect(() => nv.annotate(() => false, 'string'))
+            .toThrow(new Error('Annotation must be a JSON Schema or an annotated function'));
+    });
+
+    test('round trip', () => {
+        const nv = nonvalid.instance();
+        const document = {
+            $schema: dialect,
+            $defs: { id: { type: 'integer', minimum: 1 } },
+            type: 'object',
+            properties: { id: { $ref: '#/$defs/id' }, tags: { items: false } },
+            required: ['id']
+        };
+        expect(nv.toJSONSchema(nv.fromJSONSchema(document))).toEqual(document);
+        expect(nv.toJSONSchema({ nested: nv.fromJSONSchema({ type: 'string', $defs: { a: {} } }) })).toEqual({
+            $schema: dialect,
+            type: 'object',
+            properties: { nested: { type: 'string', $defs: { a: {} } } },
+            required: ['nested'],
+            additionalProperties: false
+        });
+        expect(nv.toJSONSchema({ a: nv.fromJSONSchema(false) }).properties.a).toBe(false);
+    });
+});
+
+describe('exporting named schemas', () => {
+    test('definitions', () => {
+        const nv = nonvalid.instance();
+        nv.define('Node', { value: nv.number, next: nv.optional(nv.ref('Node')) }).define('a/b', true);
+        expect(nv.toJSONSchema({ head: nv.ref('Node'), other: nv.ref('a/b') })).toEqual({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            properties: {
+                head: { $ref: '#/$defs/Node' },
+                other: { $ref: '#/$defs/a~1b' }
+            },
+            required: ['head', 'other'],
+            additionalProperties: false,
+            $defs: {
+                Node: {
+                    type: 'object',
+                    properties: { value: { type: 'number' }, next: { $ref: '#/$defs/Node' } },
+                    required: ['value'],
+                    additionalProperties: false
+                },
+                'a/b': { const: true }
+            }
+        });
+        expect(nv.toJSONSchema(nv.ref('a/b'))).toEqual({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $ref: '#/$defs/a~1b',
+            $defs: { 'a/b': { const: true } }
+        });
+        expect(() => nv.toJSONSchema(nv.ref('Missing')))
+            .toThrow(new Error('Schema "Missing" is not defined'));
+    });
+});
@@ -350,6 +350,110 @@ describe('matchers', () => {
         perform(() => 0, nv => v => !nv.object() && E, E);
     });
 
+    test('integer', () => {
+        expect(() => nonvalid.instance().integer()).toThrow(OUT('integer'));
+        expect(nonvalid.instance().integer(-3)).toBe(true);
+        expect(nonvalid.instance().integer(1e20)).toBe(true);
+        expect(nonvalid.instance().integer(1.5)).toBe(false);
+        expect(nonvalid.instance().integer(Infinity)).toBe(false);
+        expect(nonvalid.instance().integer(BigInt(1))).toBe(false);
+        perform(5, nv => v => !nv.integer(), false);
+        perform('5', nv => v => !nv.integer(v) && E, E);
+    });
+
+    test('date and regexp', () => {
+        expect(() => nonvalid.instance().date()).toThrow(OUT('date'));
+        expect(nonvalid.instance().date(new Date(0))).toBe(true);
+        expect(nonvalid.instance().date(new Date(NaN))).toBe(false);
+        expect(nonvalid.instance().date('2021-01-01')).toBe(false);
+        expect(nonvalid.instance().regexp(/a/)).toBe(true);
+        expect(nonvalid.instance().regexp('/a/')).toBe(false);
+        perform(new Date(), nv => v => !nv.date(), false);
+        perform(new Date('invalid'), nv => v => !nv.date(v) && E, E);
+        perform(new RegExp('a', 'g'), nv => v => !nv.regexp(), false);
+        perform({ source: 'a' }, nv => v => !nv.regexp() && E, E);
+    });
+
+    test('binary data', () => {
+        const nv = nonvalid.instance();
+        const bytes = new Uint8Array([1, 2]);
+        expect([nv.arrayBuffer(bytes.buffer), nv.arrayBuffer(bytes), nv.arrayBuffer([])])
+            .toEqual([true, false, false]);
+        expect([nv.typedArray(bytes), nv.typedArray(Buffer.from('a')), nv.typedArray(new Float64Array(1))])
+            .toEqual([true, true, true]);
+        expect([nv.typedArray(new DataView(bytes.buffer)), nv.typedArray(bytes.buffer), nv.typedArray([1])])
+            .toEqual([false, false, false]);
+        expect([nv.buffer(Buffer.alloc(2)), nv.buffer(bytes), nv.buffer('ab')])
+            .toEqual([true, false, false]);
+        expect(() => nv.buffer()).toThrow(OUT('buffer'));
+        perform(Buffer.from('abc'), nv => v => !nv.buffer() || !nv.typedArray(v), false);
+        perform(new Int16Array(2), nv => v => !nv.buffer() && E, E);
+        perform(new ArrayBuffer(8), nv => v => !nv.arrayBuffer(), false);
+    });
+
+    test('formats', () => {
+        const nv = nonvalid.instance();
+        const validDates = [
+            '2020-02-29', '2021-12-31T23:59', '2021-01-01T00:00:00Z', '2021-01-01T12:30:15.25+05:30'
+        ];
+        const invalidDates = [
+            '2021-02-29', '2021-13-01', '2021-1-1', '2021-01-01T24:00', '2021-01-01 12:00', 1
+        ];
+        validDates.forEach(date => expect(nv.isoDate(date)).toBe(true));
+        invalidDates.forEach(date => expect(nv.isoDate(date)).toBe(false));
+        expect(nv.email('john.doe+tag@mail.example.com')).toBe(true);
+        ['john doe@example.com', 'john@', 'john@localhost', 'john@-example.com', null]
+            .forEach(email => expect(nv.email(email)).toBe(false));
+        expect(nv.uuid('123E4567-e89b-12d3-a456-426614174000')).toBe(true);
+        expect(nv.uuid('123e4567e89b12d3a456426614174000')).toBe(false);
+        expect(nv.url('https://example.com/path?query#hash')).toBe(true);
+        expect(nv.url('mailto:john@example.com')).toBe(true);
+        expect(nv.url('example.com/path')).toBe(false);
+        expect(nv.url({ href: 'https://example.com' })).toBe(false);
+        perform('2021-05-05', nv => () => !nv.isoDate() && E, false);
+        perform({ id: 'x' }, nv => () => !nv.uuid(() => nv.value().id) && E, E);
+        perform({}, nv => () => !nv.email(() => nv.value().contact.email) && E, E);
+    });
+
+    test('factories', () => {
+        const nv = nonvalid.instance();
+        expect(nv.range(1, 3)(1)).toBe(true);
+        expect(nv.range(1, 3)(3.5)).toBe(false);
+        expect(nv.range(1, 3)('2')).toBe(false);
+        expect(nv.range(0)(BigInt(10))).toBe(true);
+        expect(nv.range(undefined, 0)(-Infinity)).toBe(false);
+        expect(nv.size(1, 2)('ab')).toBe(true);
+        expect(nv.size(2)('😀')).toBe(false);
+        expect(nv.size(2, 2)([1, 2])).toBe(true);
+        expect(nv.size(1)(new Map())).toBe(false);
+        expect(nv.size(0, 1)(new Set([1]))).toBe(true);
+        expect(nv.size(0)({ length: 1 })).toBe(false);
+        const global = nv.matches(/^a/g);
+        expect([global('ab'), global('ab'), global('ba')]).toEqual([true, true, false]);
+        expect(nv.matches(/1/)(1)).toBe(false);
+        expect(nv.oneOfValues(['a', NaN])(NaN)).toBe(true);
+        expect(nv.oneOfValues(['a', NaN])('b')).toBe(false);
+        expect(nv.instanceOf(Error)(new TypeError())).toBe(true);
+        expect(nv.instanceOf(Date)(new Date(NaN))).toBe(true);
+        expect(nv.instanceOf(Map)(new Set())).toBe(false);
+
+        expect(() => nv.range('1', 2)).toThrow(new Error('range() expects numeric bounds'));
+        expect(() => nv.size(3, 2))
+            .toThrow(new Error('size() expects the lower bound not to exceed the upper one'));
+        expect(() => nv.matches('^a')).toThrow(new Error('matches() expects a regular expression'));
+        expect(() => nv.oneOfValues('abc')).toThrow(new Error('oneOfValues() expects an array of values'));
+        expect(() => nv.instanceOf({})).toThrow(new Error('instanceOf() expects a class'));
+        expect(() => nv.range(1, 2)()).toThrow(OUT('range'));
+        expect(() => nv.size(1, 2)(1, 2)).toThrow(new Error(ARGS));
+
+        perform(2, nv => () => !nv.range(1, 3)() && E, false);
+        perform(4, nv => v => !nv.range(1, 3)(v) && E, E);
+        perform(['a', 'b'], nv => () => !nv.size(1, 1)() && E, E);
+        const colors = ['red', 'green'];
+        perform({ color: 'red' }, nv => () => !nv.oneOfValues(colors)(() => nv.value().color), false);
+        perform({ color: 'red' }, nv => () => !nv.matches(/^#/)(() => nv.value().color.code) && E, E);
+    });
+
     test('get', () => {
         expect(() => nonvalid.instance().get()).toThrow(OUT('get'));
         expect(nonvalid.instance().get(123)).toBe(123);
@@ -406,6 +510,7 @@ describe('matchers', () => {
         expect(() => nv.addMatcher('value', n => n)).toThrow(new Error(EXIST('value')));
         expect(() => nv.addMatcher('other', n => n)).toThrow(new Error(EXIST('other')));
         expect(() => nv.addMatcher(s, n => n)).toThrow(new Error(EXIST(s.toString())));
+        expect(nv.addMatcher('addFive', n => n + 5)).toBe(nv);
     });
 });
 
@@ -611,28 +716,41 @@ describe('navigation', () => {
 
     test('safe, unconsumed', () => {
         const UNCONSUMED = 'Value created in safe context was not consumed by any matcher';
+        const ANOTHER = 'To validate another value, use nonvalid.instance()';
 
         const nv = nonvalid.instance();
-        nv(123, () => nv.get(() => {
+        expect(() => nv(123, () => nv.get(() => {
             nv.value();
             return nv.value();
-        }));
+        }))).toThrow(new Error(UNCONSUMED));
+        expect(jest.getTimerCount()).toBe(0);
+        expect(() => nv(123, () => false)).toThrow(new Error(ANOTHER));
 
-        expect(() => jest.runAllTimers()).toThrow(new Error(UNCONSUMED));
+        const other = nonvalid.instance();
+        expect(other({ a: 1 }, { a: () => !other.number(() => other.root().a) })).toBe(false);
+        expect(jest.getTimerCount()).toBe(0);
     });
 
     test('safe, misused', () => {
         const MISUSED = 'Value created in safe context was used improperly';
 
         const nv = nonvalid.instance();
-        nv({ v: 123 }, () => nv.get(() => {
+        expect(() => nv({ v: 123 }, () => nv.get(() => {
             const a = nv.value();
             expect(Object.hasOwnProperty.call(a, 'v')).toBe(false);
             const b = [][a];
             return a;
-        }));
+        }))).toThrow(new Error(MISUSED));
+        expect(jest.getTimerCount()).toBe(0);
 
-        expect(() => jest.runAllTimers()).toThrow(new Error(MISUSED));
+        let escaped;
+        const other = nonvalid.instance();
+        expect(() => other({ v: 'v' }, () => other.get(() => (escaped = other.value()))
+            && ({})[escaped])).toThrow(new Error(MISUSED));
+
+        const used = nonvalid.instance();
+        expect(used({ v: 'w', w: 1 }, () => used.number(() => used.value()[used.value().v]))).toBe(true);
+        expect(jest.getTimerCount()).toBe(0);
     });
 
     test('safe, unreturned', () => {
@@ -1002,8 +1120,28 @@ describe('navigation', () => {
         expect(error).toEqual(E);
         expect(nv.errorPath()).toEqual(path);
         expect(nv.errorPath('json')).toBe(stringPaths[stringPaths.length - 1]);
+        expect(nv.errorPath({ name: 'json' })).toBe(stringPaths[stringPaths.length - 1]);
+        expect(nv.errorPath({ format: 'pointer' })).toBe('/test/0/Symbol(abc)/1/"\'`');
         expect(() => nv.path()).toThrow(AFTER);
     });
+
+    test('path formats', () => {
+        const nv = nonvalid.instance();
+        const error = nv({ 'a.b': [{ 'c/d': 1 }] }, { 'a.b': [() => {
+            expect(nv.path({ format: 'js' })).toBe('["a.b"][0]');
+            expect(nv.path({ format: 'jsonpath' })).toBe('$[\'a.b\'][0]');
+            return nv({ 'c/d': () => {
+                expect(nv.path({ format: 'pointer' })).toBe('/a.b/0/c~1d');
+                expect(nv.path({ format: 'dotted' })).toBe('a\\.b.0.c/d');
+                return 'E';
+            } });
+        }] });
+        expect(error).toBe('E');
+        expect(nv.errorPath({ format: 'jsonpath' })).toBe('$[\'a.b\'][0][\'c/d\']');
+        expect(() => nv.errorPath({ format: 'xpath' })).toThrow('Unknown path format "xpath"');
+        expect(() => nv.errorPath({ name: 1 })).toThrow('Path name must be a string');
+        expect(() => nv.errorPath(1)).toThrow('Path format must be either a name or an options object');
+    });
 });
 
 describe('structure comparison', () => {
@@ -1134,6 +1272,16 @@ describe('structure comparison', () => {
 });
 
 describe('misc', () => {
+    test('boolean result', () => {
+        expect(nonvalid.instance().is({ a: 1 }, { a: 1 })).toBe(true);
+        expect(nonvalid.instance().is({ a: 1 }, { a: () => 'error' })).toBe(false);
+        {
+            const nv = nonvalid.instance();
+            expect(nv({ a: { b: 1 } }, { a: () => !nv.is({ b: 2 }) && 'inner' })).toBe('inner');
+            expect(nv.errorPath()).toEqual(['a', 'b']);
+        }
+    });
+
     test('always return false for falsy', () => {
         expect(nonvalid.instance()(null, () => null)).toBe(false);
         expect(nonvalid.instance()({}, () => {})).toBe(false);
@@ -1255,4 +1403,1625 @@ describe('misc', () => {
             }));
         }
     });
-});
\ No newline at end of file
+});
+describe('collecting errors', () => {
+    test('all errors in schema order', () => {
+        const nv = nonvalid.instance();
+        const s = Symbol('s');
+        expect(nv.all({ a: 1, b: [1, 2, 'x', 'y'], c: 3, d: 4, [s]: 5 }, {
+            a: v => v !== 2 && 'a',
+            b: [1, 3, nv.end, v => !nv.number(v) && `b${nv.index()}`],
+            c: { [nv.error]: 'c' },
+            e: () => false
+        })).toEqual([
+            { error: 'a', path: ['a'] },
+            { error: true, path: ['b', 1] },
+            { error: 'b2', path: ['b', 2] },
+            { error: 'b3', path: ['b', 3] },
+            { error: 'c', path: ['c'] },
+            { error: true, path: ['d'] },
+            { error: true, path: [s] }
+        ]);
+        expect(nv.errorPath()).toEqual(['a']);
+    });
+
+    test('no errors', () => {
+        const nv = nonvalid.instance();
+        expect(nv.all({ a: [1] }, { a: [nv.end, () => !nv.number()] })).toEqual([]);
+        expect(nv.errorPath()).toBe(null);
+    });
+
+    test('extra indices without a callback', () => {
+        const nv = nonvalid.instance();
+        expect(nv.all([1, 2, 3], [1])).toEqual([
+            { error: true, path: [1] },
+            { error: true, path: [2] }
+        ]);
+        expect(nv.errorPath()).toEqual([1]);
+    });
+
+    test('recursive calls', () => {
+        {
+            const nv = nonvalid.instance();
+            expect(nv.all({ a: { b: 1, c: 2 } }, { a: () => nv({ b: 2, c: () => 'c' }) })).toEqual([
+                { error: true, path: ['a', 'b'] },
+                { error: 'c', path: ['a', 'c'] }
+            ]);
+        }
+        {
+            const nv = nonvalid.instance();
+            expect(nv.all({ a: { b: 1 }, c: 1 }, { a: () => nv({ b: 2 }) && false, c: 2 })).toEqual([
+                { error: true, path: ['c'] }
+            ]);
+            expect(nv.errorPath()).toEqual(['c']);
+        }
+        {
+            const nv = nonvalid.instance();
+            const schema = { a: () => !nv.object() && 'a' || nv({ b: () => 'b' }) };
+            expect(nv.all({ a: { b: 1 } }, schema)).toEqual([
+                { error: 'b', path: ['a', 'b'] }
+            ]);
+        }
+    });
+
+    test('misuse', () => {
+        const ARGS = 'all() expects exactly two arguments';
+        const DURING = 'all() called during validation';
+        const ANOTHER = 'To validate another value, use nonvalid.instance()';
+
+        expect(() => nonvalid.instance().all({})).toThrow(new Error(ARGS));
+        {
+            const nv = nonvalid.instance();
+            expect(() => nv({ a: 1 }, { a: v => nv.all(v, 1) })).toThrow(new Error(DURING));
+        }
+        {
+            const nv = nonvalid.instance();
+            nv.all(1, 2);
+            expect(() => nv.all(1, 2)).toThrow(new Error(ANOTHER));
+        }
+    });
+});
+
+describe('compiled validators', () => {
+    test('reusing', () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({
+            a: [nv.end, () => !nv.number() && 'number'],
+            b: () => nv({ c: 1 })
+        });
+        expect(validate({ a: [1, 2], b: { c: 1 } })).toBe(false);
+        expect(nv.errorPath()).toBe(null);
+        expect(validate({ a: [1, 'x'], b: { c: 1 } })).toBe('number');
+        expect(nv.errorPath()).toEqual(['a', 1]);
+        expect(validate({ a: [], b: { c: 2 } })).toBe(true);
+        expect(nv.errorPath('json')).toBe('json["b"]["c"]');
+        expect(validate.all({ a: ['x'], b: {} })).toEqual([
+            { error: 'number', path: ['a', 0] },
+            { error: true, path: ['b', 'c'] }
+        ]);
+        expect(validate({ a: [], b: { c: 1 } })).toBe(false);
+    });
+
+    test('own state for every call', () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({ list: [nv.end, () => nv({ a: v => {
+            expect(nv.path()).toEqual(['list', v - 1, 'a']);
+            expect(nv.up(2)).toBe(nv.root());
+            return false;
+        } })] });
+        const first = { list: [{ a: 1 }, { a: 2 }] };
+        const second = { list: [{ a: 1 }] };
+        expect(validate(first)).toBe(false);
+        expect(validate(second)).toBe(false);
+        expect(validate(first)).toBe(false);
+    });
+
+    test('checking schemas up front', () => {
+        const NONFUNC = 'The catch-other callback must be a function';
+        const MANYENDS = 'Encountered multiple end-of-array markers';
+
+        const nv = nonvalid.instance();
+        expect(() => nv.compile({ a: 1, b: { [nv.other]: 1 } })).toThrow(new Error(NONFUNC));
+        expect(() => nv.compile([{ a: [nv.end, nv.end] }])).toThrow(new Error(MANYENDS));
+        expect(() => nv.compile({ a: () => nv({ [nv.other]: 1 }) })).not.toThrow();
+    });
+
+    test('misuse', () => {
+        const COMPILE = 'compile() called during validation';
+        const CALL = 'Compiled validator called during validation';
+
+        {
+            const nv = nonvalid.instance();
+            expect(() => nv(1, () => nv.compile(1))).toThrow(new Error(COMPILE));
+        }
+        {
+            const nv = nonvalid.instance();
+            const validate = nv.compile(1);
+            expect(() => nv(1, () => validate(1))).toThrow(new Error(CALL));
+            expect(validate(1)).toBe(false);
+        }
+    });
+});
+
+describe('maps and sets', () => {
+    test('matchers', () => {
+        const nv = nonvalid.instance();
+        expect(nv.map(new Map())).toBe(true);
+        expect(nv.map({})).toBe(false);
+        expect(nv.map(new Set())).toBe(false);
+        expect(nv.set(new Set())).toBe(true);
+        expect(nv.set([])).toBe(false);
+        expect(nv.set(new Map())).toBe(false);
+    });
+
+    test('maps', () => {
+        const E = 'map error';
+        const AE = 'not a map';
+        const o = {};
+        const s = Symbol('s');
+        const value = () => new Map([[1, 'a'], [o, 'b'], ['c', 3], [s, null]]);
+
+        perform(value(), nv => () => nv(new Map([[1, 'a'], [o, 'b'], ['c', 3], [s, null]])), false);
+        perform(value(), nv => () => nv(new Map([[1, 'a'], [o, 'b'], ['c', 3]])), true);
+        perform(value(), nv => () => nv(new Map([[1, 'a'], [o, 'b'], ['c', 4], [s, null]])),
+            true, null, ['c']);
+        perform(value(), nv => () => nv(new Map([['1', 'a'], [o, 'b'], ['c', 3], [s, null]])),
+            true, null, ['1']);
+        perform(value(), nv => () => nv(new Map([
+            [1, 'a'],
+            [nv.other, () => nv.key() === 'c' && E],
+            [nv.error, AE]
+        ])), E, null, ['c']);
+        perform(value(), nv => () => nv(new Map([[nv.other, () => false]])), false);
+        perform({ 1: 'a' }, nv => () => nv(new Map([[1, 'a']])), true);
+        perform({ 1: 'a' }, nv => () => nv(new Map([[1, 'a'], [nv.error, AE]])), AE);
+        perform(new Map([[1, 'a']]), { 1: 'a' }, true, null, ['1']);
+        perform(new Map([[1, 'a']]), nv => () => nv([nv.end, () => false]), true);
+    });
+
+    test('sets', () => {
+        const E = 'set error';
+        const AE = 'not a set';
+        const o = {};
+
+        perform(new Set(['a', o]), nv => () => nv(new Set(['a', o])), false);
+        perform(new Set(['a', o]), nv => () => nv(new Set(['a'])), true);
+        perform(new Set(['a']), nv => () => nv(new Set(['a', o])), true, null, [o]);
+        perform(new Set(['a', 'b', 3]), nv => () => nv(new Set([
+            'a', nv.end, () => !nv.string() && E, AE
+        ])), E, null, [3]);
+        perform(new Set(['a', 'b']), nv => () => nv(new Set([nv.end, () => !nv.string() && E])), false);
+        perform(['a'], nv => () => nv(new Set(['a', nv.end, AE])), AE);
+        perform(new Set(['a']), ['a'], true);
+    });
+
+    test('schema errors', () => {
+        const UNEXPECTED = (name, type) => `Symbol(nonvalid.${name}) is not expected in ${type} schema`;
+        const NONFUNC = 'The catch-other callback must be a function';
+        const NONVALID = 'The shape error must be a non-function truthy value';
+        const MANYFUNCS = 'Encountered multiple catch-other callbacks';
+
+        perform(new Map(), nv => () => nv(new Map([[nv.end, 1]])), null, UNEXPECTED('end', 'a map'));
+        perform(new Map(), nv => () => nv(new Map([[nv.other, 1]])), null, NONFUNC);
+        perform(new Map(), nv => () => nv(new Map([[nv.error, '']])), null, NONVALID);
+        perform(new Set(), nv => () => nv(new Set([nv.other])), null, UNEXPECTED('other', 'a set'));
+        perform(new Set(), nv => () => nv(new Set([nv.end, () => 1, () => 2])), null, MANYFUNCS);
+    });
+
+    test('keys and paths', () => {
+        const INDEX_MAP = 'index() can be called for arrays only';
+
+        for (const [key, formatted] of [
+            [1, '[1]'], ['1', '["1"]'], [{ a: 1 }, '[{"a":1}]'],
+            [Symbol('s'), '[Symbol(s)]'], [null, '[null]'],
+            [undefined, '[undefined]'], [BigInt(5), '[5n]'], [true, '[true]'], [NaN, '[NaN]']
+        ]) {
+            {
+                const nv = nonvalid.instance();
+                expect(nv({ list: [new Map([[key, 1]])] }, { list: [new Map([[key, (v, k) => {
+                    expect(k).toBe(key);
+                    expect(nv.key()).toBe(key);
+                    expect(nv.path()).toEqual(['list', 0, key]);
+                    expect(nv.path('json')).toBe(`json["list"][0]${formatted}`);
+                    return 'error';
+                }]])] })).toBe('error');
+                expect(nv.errorPath()).toEqual(['list', 0, key]);
+                expect(nv.errorPath('json')).toBe(`json["list"][0]${formatted}`);
+            }
+            {
+                const nv = nonvalid.instance();
+                expect(nv(new Set([key]), new Set([nv.end, () => {
+                    expect(nv.key()).toBe(key);
+                    expect(nv.value()).toBe(key);
+                    return 'error';
+                }]))).toBe('error');
+                expect(nv.errorPath()).toEqual([key]);
+            }
+        }
+        {
+            const nv = nonvalid.instance();
+            expect(() => nv(new Map([[0, 1]]), new Map([[0, () => nv.index()]])))
+                .toThrow(new Error(INDEX_MAP));
+        }
+    });
+
+    test('navigation', () => {
+        const nv = nonvalid.instance();
+        const inner = new Map([['b', 1]]);
+        const value = new Map([['a', inner]]);
+        expect(nv(value, new Map([['a', new Map([['b', () => {
+            expect(nv.up()).toBe(inner);
+            expect(nv.up(1)).toBe(value);
+            expect(nv.root()).toBe(value);
+            return false;
+        }]])]]))).toBe(false);
+    });
+});
+
+describe('asynchronous validation', () => {
+    const later = value => Promise.resolve().then(() => value);
+
+    test('awaiting callbacks in schema order', async () => {
+        const nv = nonvalid.instance();
+        const order = [];
+        const error = await nv.async({ a: 1, b: [2, 3], c: 4 }, {
+            a: async v => {
+                await later();
+                order.push(nv.path());
+                return v !== 1;
+            },
+            b: [nv.end, v => later().then(() => {
+                order.push(nv.path());
+                return v === 3 && 'b';
+            })],
+            c: () => {
+                order.push(nv.path());
+                return false;
+            }
+        });
+        expect(error).toBe('b');
+        expect(nv.errorPath()).toEqual(['b', 1]);
+        expect(order).toEqual([['a'], ['b', 0], ['b', 1]]);
+    });
+
+    test('recursive calls and navigation', async () => {
+        const nv = nonvalid.instance();
+        const value = { a: { b: [1, { c: 'd' }] } };
+        expect(await nv.async(value, { a: async v => {
+            await later();
+            expect(nv.value()).toBe(v);
+            expect(nv.up()).toBe(value);
+            const error = await nv({ b: [1, async () => {
+                await later();
+                const inner = await nv({ c: async () => {
+                    await later();
+                    expect(nv.path()).toEqual(['a', 'b', 1, 'c']);
+                    expect(nv.value()).toBe('d');
+                    expect(nv.up()).toBe(value.a.b[1]);
+                    expect(nv.up(1)).toBe(value.a.b);
+                    expect(nv.up(2)).toBe(value.a);
+                    expect(nv.root()).toBe(value);
+                    return 'inner';
+                } });
+                expect(nv.path()).toEqual(['a', 'b', 1]);
+                return inner;
+            }] });
+            expect(nv.path()).toEqual(['a']);
+            expect(nv.value()).toBe(v);
+            return error;
+        } })).toBe('inner');
+        expect(nv.errorPath()).toEqual(['a', 'b', 1, 'c']);
+        expect(() => nv.path()).toThrow();
+    });
+
+    test('valid values and synchronous callbacks', async () => {
+        const nv = nonvalid.instance();
+        expect(await nv.async([1, 2], [nv.end, () => !nv.number()])).toBe(false);
+        expect(nv.errorPath()).toBe(null);
+        expect(nonvalid.instance()(1, async () => false)).toBeInstanceOf(Promise);
+    });
+
+    test('errors', async () => {
+        const E = 'async error';
+        const ANOTHER = 'To validate another value, use nonvalid.instance()';
+        const DURING = 'async() called during validation';
+
+        {
+            const nv = nonvalid.instance();
+            await expect(nv.async(1, async () => {
+                await later();
+                throw new Error(E);
+            })).rejects.toThrow(new Error(E));
+            await expect(nv.async(1, 1)).rejects.toThrow(new Error(ANOTHER));
+        }
+        {
+            const nv = nonvalid.instance();
+            await expect(nv.async(1, () => nv.async(1, 1))).rejects.toThrow(new Error(DURING));
+        }
+        {
+            const nv = nonvalid.instance();
+            await expect(nv.async({}, () => later().then(() => nv({ [nv.other]: 1 }))))
+                .rejects.toThrow(new Error('The catch-other callback must be a function'));
+        }
+    });
+
+    test('aborting', async () => {
+        {
+            const nv = nonvalid.instance();
+            const controller = new AbortController();
+            const visited = [];
+            await expect(nv.async([1, 2, 3], [nv.end, async v => {
+                visited.push(v);
+                if (v === 2) {
+                    controller.abort();
+                }
+                await later();
+                return false;
+            }], { signal: controller.signal })).rejects.toThrow();
+            expect(visited).toEqual([1, 2]);
+            expect(nv.errorPath()).toBe(null);
+        }
+        {
+            const nv = nonvalid.instance();
+            const controller = new AbortController();
+            await expect(nv.async([1], [nv.end, () => {
+                controller.abort();
+                return new Promise(() => {});
+            }], { signal: controller.signal })).rejects.toThrow();
+        }
+        {
+            const nv = nonvalid.instance();
+            const controller = new AbortController();
+            controller.abort();
+            await expect(nv.async(1, () => false, { signal: controller.signal })).rejects.toThrow();
+        }
+        {
+            const nv = nonvalid.instance();
+            const controller = new AbortController();
+            expect(await nv.async(1, async () => later(false), { signal: controller.signal })).toBe(false);
+        }
+    });
+
+    test('compiled', async () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({ a: async v => later(v !== 1 && 'a') });
+        expect(await validate.async({ a: 1 })).toBe(false);
+        expect(await validate.async({ a: 2 })).toBe('a');
+        expect(nv.errorPath()).toEqual(['a']);
+    });
+
+    test('overlapping compiled calls', async () => {
+        const nv = nonvalid.instance();
+        const seen = [];
+        const validate = nv.compile({
+            a: async v => {
+                seen.push(nv.path());
+                await later();
+                return v !== 1 && 'a';
+            },
+            b: v => {
+                seen.push(nv.up().a);
+                return v !== nv.up().a && 'b';
+            }
+        });
+        const results = await Promise.all([
+            validate.async({ a: 1, b: 1 }),
+            validate.async({ a: 2, b: 2 }),
+            validate.async({ a: 1, b: 3 })
+        ]);
+        expect(results).toEqual([false, 'a', 'b']);
+        expect(seen).toEqual([['a'], ['a'], ['a'], 1, 1]);
+        expect(nv.errorPath()).toEqual(['b']);
+        expect(await validate.async({ a: 1, b: 1 })).toBe(false);
+        expect(nv.errorPath()).toBe(null);
+        const other = nonvalid.instance();
+        const nested = other.compile({ a: 1 });
+        await expect(other.async({ a: 1 }, { a: () => nested.async({ a: 1 }) }))
+            .rejects.toThrow(new Error('Compiled validator called during validation'));
+    });
+
+    test('overlapping recursive calls', async () => {
+        const nv = nonvalid.instance();
+        const ticks = count => count === 0 ? Promise.resolve() : later().then(() => ticks(count - 1));
+        const validate = nv.compile({
+            a: async v => {
+                await ticks(v.wait);
+                return await nv({ ok: true, wait: () => false }) && `${nv.path('value')} is not ok`;
+            }
+        });
+        const results = await Promise.all([
+            validate.async({ a: { wait: 20, ok: false } }),
+            validate.async({ a: { wait: 5, ok: true } })
+        ]);
+        expect(results).toEqual(['value["a"] is not ok', false]);
+        expect(nv.errorPath()).toEqual(['a', 'ok']);
+    });
+});
+
+describe('parse mode', () => {
+    test('building output', () => {
+        const nv = nonvalid.instance();
+        const trim = () => !nv.string() && 'string' || nv.replace(nv.value().trim());
+        const input = {
+            name: ' Bob ',
+            age: '42',
+            tags: [' a ', 'b'],
+            address: { city: ' Kyiv ', zip: 1 },
+            pair: [1, ' x '],
+            extra: ' y '
+        };
+        const result = nv.parse(input, {
+            name: trim,
+            age: () => isNaN(nv.value()) && 'number' || nv.replace(Number(nv.value())),
+            tags: [nv.end, trim],
+            address: () => nv({ city: trim, [nv.other]: () => false }),
+            pair: [1, trim],
+            missing: () => nv.replace('default'),
+            absent: undefined,
+            [nv.other]: trim
+        });
+        expect(result).toEqual({
+            value: {
+                name: 'Bob',
+                age: 42,
+                tags: ['a', 'b'],
+                address: { city: 'Kyiv', zip: 1 },
+                pair: [1, 'x'],
+                missing: 'default',
+                extra: 'y'
+            },
+            error: false,
+            errorPath: null
+        });
+        expect(Object.keys(result.value)).not.toContain('absent');
+        expect(input.name).toBe(' Bob ');
+        expect(input.address.city).toBe(' Kyiv ');
+    });
+
+    test('original data during traversal', () => {
+        const nv = nonvalid.instance();
+        const input = { a: ' 1 ', b: [' 2 '] };
+        expect(nv.parse(input, {
+            a: () => nv.replace(nv.value().trim()),
+            b: [() => {
+                expect(nv.root()).toBe(input);
+                expect(nv.up(1).a).toBe(' 1 ');
+                return nv.replace(1) || nv.replace(2);
+            }]
+        }).value).toEqual({ a: '1', b: [2] });
+    });
+
+    test('maps and sets', () => {
+        const nv = nonvalid.instance();
+        const double = () => nv.replace(nv.value() * 2);
+        expect(nv.parse(
+            { map: new Map([['a', 1], [2, 3]]), set: new Set(['x', 4]) },
+            { map: new Map([['a', double], [nv.other, double]]), set: new Set(['x', nv.end, double]) }
+        ).value).toEqual({ map: new Map([['a', 2], [2, 6]]), set: new Set(['x', 8]) });
+    });
+
+    test('__proto__ keys', () => {
+        const nv = nonvalid.instance();
+        const input = JSON.parse('{ "__proto__": { "polluted": 1 }, "a": 1 }');
+        const { value } = nv.parse(input, { [nv.other]: () => false });
+        expect(Object.getPrototypeOf(value)).toBe(Object.prototype);
+        expect(value.polluted).toBeUndefined();
+        expect(Object.keys(value)).toEqual(['__proto__', 'a']);
+        expect(Object.getOwnPropertyDescriptor(value, '__proto__').value).toEqual({ polluted: 1 });
+    });
+
+    test('errors', () => {
+        const nv = nonvalid.instance();
+        expect(nv.parse({ a: [1, 'x'] }, { a: [nv.end, () => !nv.number() && 'number' || nv.replace(0)] }))
+            .toEqual({ value: undefined, error: 'number', errorPath: ['a', 1] });
+        expect(nv.errorPath()).toEqual(['a', 1]);
+
+        const validate = nonvalid.instance().compile({ a: 1 });
+        expect(validate.parse({ a: 1 })).toEqual({ value: { a: 1 }, error: false, errorPath: null });
+        expect(validate.parse({ a: 2 })).toEqual({ value: undefined, error: true, errorPath: ['a'] });
+        expect(validate.parse({ a: 1, b: 2 })).toEqual({ value: undefined, error: true, errorPath: [] });
+    });
+
+    test('misuse', () => {
+        expect(() => nonvalid.instance().parse({}))
+            .toThrow(new Error('parse() expects exactly two arguments'));
+        expect(() => nonvalid.instance().replace(1))
+            .toThrow(new Error('replace() can only be called from callbacks during parse()'));
+
+        const nv = nonvalid.instance();
+        expect(() => nv(1, () => nv.replace(2)))
+            .toThrow(new Error('replace() can only be called from callbacks during parse()'));
+        const nested = nonvalid.instance();
+        expect(() => nested(1, () => nested.parse(1, 1)))
+            .toThrow(new Error('parse() called during validation'));
+        expect(() => nonvalid.instance().parse(1, () => nonvalid.replace()))
+            .toThrow(new Error('replace() expects exactly one argument'));
+    });
+});
+
+describe('optional keys', () => {
+    test('objects', () => {
+        const schema = nv => () => nv({
+            name: () => !nv.string(),
+            position: nv.optional([() => !nv.number(), () => !nv.number()]),
+            meta: nv.optional({ tag: nv.optional('x') })
+        });
+        perform({ name: 'a' }, schema, false);
+        perform({ name: 'a', meta: {} }, schema, false);
+        perform({ name: 'a', position: [1, 2], meta: { tag: 'x' } }, schema, false);
+        perform({ position: [1, 2] }, schema, true, null, ['name']);
+        perform({ name: 'a', position: undefined }, schema, true, null, ['position']);
+        perform({ name: 'a', position: [1] }, schema, true, null, ['position', 1]);
+        perform({ name: 'a', meta: { tag: 'y' } }, schema, true, null, ['meta', 'tag']);
+    });
+
+    test('arrays and maps', () => {
+        const string = nv => nv.optional(() => !nv.string() && 'string');
+        perform([1], nv => () => nv([1, string(nv)]), false);
+        perform([1, 2], nv => () => nv([1, string(nv)]), 'string', null, [1]);
+        perform([1, , 3], nv => () => nv([1, nv.optional(2), 3]), false);
+        perform(new Map([[1, 'a']]), nv => () => nv(new Map([[1, 'a'], [2, nv.optional('b')]])), false);
+        perform(new Map([[1, 'a'], [2, 'c']]), nv => () => nv(new Map([[1, 'a'], [2, nv.optional('b')]])),
+            true, null, [2]);
+    });
+
+    test('elsewhere', () => {
+        perform(1, nv => () => nv(nv.optional(1)), false);
+        perform(undefined, nv => () => nv(nv.optional(1)), true);
+        perform([5], nv => () => nv([nv.end, nv.optional(() => false)]), true);
+        perform({ a: 1 }, nv => () => nv({ [nv.other]: () => nv(nv.optional(2)) }), true, null, ['a']);
+    });
+
+    test('compiling and parsing', () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({ a: nv.optional({ b: nv.optional([nv.end, () => false]) }) });
+        expect(validate({})).toBe(false);
+        expect(validate.parse({ a: { b: [1] } }).value).toEqual({ a: { b: [1] } });
+        expect(validate.parse({ a: {} }).value).toEqual({ a: {} });
+        expect(() => nv.compile({ a: nv.optional({ [nv.other]: 1 }) }))
+            .toThrow(new Error('The catch-other callback must be a function'));
+        expect(() => nv.optional()).toThrow(new Error('optional() expects exactly one argument'));
+    });
+});
+
+describe('alternatives', () => {
+    test('anyOf', () => {
+        const schema = nv => () => nv({
+            a: nv.anyOf({ x: () => !nv.number() }, [nv.end, () => !nv.string() && 'string'])
+        });
+        perform({ a: { x: 1 } }, schema, false);
+        perform({ a: ['s', 't'] }, schema, false);
+        perform(2, nv => () => nv(nv.anyOf(1, 2)), false);
+
+        const nv = nonvalid.instance();
+        expect(nv({ a: ['s', 1] }, {
+            a: nv.anyOf({ x: () => !nv.number() }, [nv.end, () => !nv.string() && 'string'])
+        })).toEqual({
+            anyOf: [
+                { error: true, path: ['a'] },
+                { error: 'string', path: ['a', 1] }
+            ]
+        });
+        expect(nv.errorPath()).toEqual(['a']);
+    });
+
+    test('oneOf', () => {
+        perform(1, nv => () => nv(nv.oneOf(1, 'a')), false);
+        perform(1, nv => () => nv(nv.oneOf(1, () => !nv.number())) && 'both', 'both');
+
+        const nv = nonvalid.instance();
+        expect(nv([1], [nv.oneOf(() => !nv.number(), 1, 'x')])).toEqual({
+            oneOf: [
+                { error: false, path: null },
+                { error: false, path: null },
+                { error: true, path: [0] }
+            ]
+        });
+        expect(nv.errorPath()).toEqual([0]);
+    });
+
+    test('rolling back error paths', () => {
+        const nv = nonvalid.instance();
+        const calls = [];
+        expect(nv({ a: { b: 'x' } }, {
+            a: nv.anyOf({ b: () => calls.push(nv.path()) && 'first' }, { b: 'x' })
+        })).toBe(false);
+        expect(calls).toEqual([['a', 'b']]);
+        expect(nv.errorPath()).toBe(null);
+    });
+
+    test('other modes', () => {
+        const nv = nonvalid.instance();
+        expect(nv.all({ a: 5, b: 1 }, { a: nv.oneOf('x', [1]), b: 2 })).toEqual([
+            { error: { oneOf: [{ error: true, path: ['a'] }, { error: true, path: ['a'] }] }, path: ['a'] },
+            { error: true, path: ['b'] }
+        ]);
+        const collector = nonvalid.instance();
+        expect(collector.all({ a: 1, b: { c: 5 } }, { a: 2, b: collector.anyOf(1, { c: 2 }) })).toEqual([
+            { error: true, path: ['a'] },
+            {
+                error: { anyOf: [{ error: true, path: ['b'] }, { error: true, path: ['b', 'c'] }] },
+                path: ['b']
+            }
+        ]);
+        expect(collector.errorPath()).toEqual(['a']);
+
+        const parser = nonvalid.instance();
+        const trim = () => !parser.string() && 'string' || parser.replace(parser.value().trim());
+        const alternatives = parser.anyOf(trim, () => !parser.number());
+        expect(parser.parse([' x ', 1], [parser.end, () => parser(alternatives)]).value).toEqual(['x', 1]);
+
+        const compiler = nonvalid.instance();
+        expect(() => compiler.compile(compiler.anyOf(1, [compiler.end, compiler.end])))
+            .toThrow(new Error('Encountered multiple end-of-array markers'));
+        expect(() => compiler.oneOf()).toThrow(new Error('oneOf() expects at least one schema'));
+    });
+
+    test('asynchronous', async () => {
+        const nv = nonvalid.instance();
+        const later = value => Promise.resolve().then(() => value);
+        await expect(nv.async({ a: 'x' }, {
+            a: nv.anyOf(
+                async () => later(!nv.number() && 'number'),
+                async () => later(!nv.string() && 'string')
+            )
+        })).resolves.toBe(false);
+    });
+});
+
+describe('structured errors', () => {
+    const structured = () => nonvalid.instance({ structuredErrors: true });
+
+    const expectError = (error, kind, expected, received, path, message) => {
+        expect(error).toBeInstanceOf(nonvalid.ValidationError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('ValidationError');
+        expect(error).toMatchObject({ kind, expected, received, path, message });
+    };
+
+    test('kinds', () => {
+        let nv = structured();
+        expectError(nv({ a: [1, 'x'] }, { a: [1, 'y'] }),
+            'literal-mismatch', 'y', 'x', ['a', 1], 'Expected "y", received "x" at value["a"][1]');
+        expect(nv.errorPath()).toEqual(['a', 1]);
+
+        nv = structured();
+        expectError(nv({ a: 1, b: [2] }, { a: 1 }),
+            'unexpected-key', undefined, [2], ['b'], 'Unexpected key "b" at value["b"]');
+        expect(nv.errorPath()).toEqual([]);
+
+        nv = structured();
+        expectError(nv([1, null], [1]),
+            'unexpected-index', undefined, null, [1], 'Unexpected index 1 at value[1]');
+
+        nv = structured();
+        expectError(nv({ a: 'x' }, { a: {} }),
+            'shape-mismatch', 'object', 'x', ['a'], 'Expected an object, received "x" at value["a"]');
+        nv = structured();
+        expectError(nv([], new Map()),
+            'shape-mismatch', 'map', [], [], 'Expected a map, received an array at value');
+
+        nv = structured();
+        expectError(nv(new Set([1]), new Set([BigInt(2), 1])),
+            'missing-member', BigInt(2), undefined, [BigInt(2)], 'Missing member 2n at value[2n]');
+    });
+
+    test('custom errors stay intact', () => {
+        const nv = structured();
+        expect(nv({ a: 1, b: 'x' }, { a: () => false, b: () => !nv.number() && 'number' })).toBe('number');
+        expect(structured()([], { [nonvalid.error]: 'object' })).toBe('object');
+        expect(nonvalid.instance()({ a: 2 }, { a: 1 })).toBe(true);
+    });
+
+    test('other modes', () => {
+        const nv = structured();
+        const entries = nv.all({ a: 'x', b: 1 }, { a: 'y' });
+        expect(entries.map(({ error, path }) => [error.kind, error.path, path])).toEqual([
+            ['literal-mismatch', ['a'], ['a']],
+            ['unexpected-key', ['b'], ['b']]
+        ]);
+        const validate = structured().compile([1, nonvalid.end]);
+        expect(validate.parse([2]).error.kind).toBe('literal-mismatch');
+        expect(JSON.parse(JSON.stringify(validate([1, 2])))).toEqual({
+            name: 'ValidationError',
+            kind: 'unexpected-index',
+            message: 'Unexpected index 1 at value[1]',
+            received: 2,
+            path: [1]
+        });
+    });
+
+    test('options', () => {
+        expect(() => nonvalid.instance(true)).toThrow(new Error('Instance options must be an object'));
+        expect(nonvalid.instance({})({}, { a: 1 })).toBe(true);
+    });
+});
+
+describe('named schemas', () => {
+    const family = () => {
+        const nv = nonvalid.instance();
+        return nv
+            .define('Person', {
+                name: () => !nv.string() && 'name',
+                spouse: nv.optional(nv.ref('Person')),
+                pets: nv.optional([nv.end, () => nv(nv.ref('Pet'))])
+            })
+            .define('Pet', { name: () => !nv.string() && 'pet name', owner: nv.ref('Person') });
+    };
+
+    test('recursion', () => {
+        let nv = family();
+        const pet = { name: 'Rex', owner: { name: 'Jane' } };
+        const person = { name: 'John', spouse: { name: 'Jane', pets: [pet] } };
+        expect(nv(person, nv.ref('Person'))).toBe(false);
+
+        nv = family();
+        expect(nv({ people: [person, { name: 'Bob', pets: [{ name: 1, owner: person }] }] }, {
+            people: [nv.end, () => nv(nv.ref('Person'))]
+        })).toBe('pet name');
+        expect(nv.errorPath()).toEqual(['people', 1, 'pets', 0, 'name']);
+
+        nv = family();
+        expect(nv({ name: 'Bob', spouse: { name: 'Ann', spouse: {} } }, nv.ref('Person'))).toBe('name');
+        expect(nv.errorPath()).toEqual(['spouse', 'spouse', 'name']);
+    });
+
+    test('lazy resolution', () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({ tree: nv.ref('Tree') });
+        nv.define('Tree', { value: () => !nv.number(), children: [nv.end, () => nv(nv.ref('Tree'))] });
+        expect(validate({ tree: { value: 1, children: [{ value: 2, children: [] }] } })).toBe(false);
+        expect(validate({ tree: { value: 1, children: [{ value: '2', children: [] }] } })).toBe(true);
+        expect(nv.errorPath()).toEqual(['tree', 'children', 0, 'value']);
+        const tree = { tree: { value: 1, children: [] } };
+        expect(validate.parse(tree).value).toEqual(tree);
+    });
+
+    test('errors', () => {
+        let nv = nonvalid.instance();
+        expect(() => nv({ a: 1 }, { a: nv.ref('Missing') }))
+            .toThrow(new Error('Schema "Missing" is not defined'));
+
+        nv = nonvalid.instance().define('A', nonvalid.ref('B')).define('B', nonvalid.ref('A'));
+        expect(() => nv(1, nv.ref('B'))).toThrow(new Error('Schema "B" refers to itself'));
+
+        nv = nonvalid.instance().define('A', 1);
+        expect(() => nv.define('A', 2)).toThrow(new Error('Schema "A" is already defined'));
+        expect(() => nv.define('', 2)).toThrow(new Error('Schema name must be a non-empty string'));
+        expect(() => nv.ref(Symbol('A'))).toThrow(new Error('Schema name must be a non-empty string'));
+        expect(() => nv.define('B')).toThrow(new Error('define() expects exactly two arguments'));
+        expect(() => nv.ref()).toThrow(new Error('ref() expects exactly one argument'));
+        expect(() => nv(1, () => nv.define('B', 1)))
+            .toThrow(new Error('define() called during validation'));
+
+        nv = nonvalid.instance().define('Bad', { a: { [nonvalid.other]: 1 } });
+        expect(() => nv.compile(nv.ref('Bad')))
+            .toThrow(new Error('The catch-other callback must be a function'));
+    });
+});
+
+describe('tracing', () => {
+    const strip = entry => ({
+        kind: entry.kind, path: entry.path, result: entry.result,
+        errorPath: entry.errorPath, origin: entry.origin, children: entry.children.map(strip)
+    });
+    const step = (kind, path, result, errorPath, children = [], origin = false) =>
+        ({ kind, path, result, errorPath, origin, children });
+
+    test('recording steps', () => {
+        const nv = nonvalid.instance({ trace: true });
+        const value = { a: 1, b: [2, 'x'], c: new Map([[1, 2]]) };
+        expect(nv(value, {
+            a: () => !nv.number(),
+            b: [2, () => nv(nv.anyOf(3, nv.optional('x')))],
+            c: new Map([[1, nv.oneOf(1, 3)]])
+        })).toEqual({ oneOf: [{ error: true, path: ['c', 1] }, { error: true, path: ['c', 1] }] });
+        expect(nv.errorPath()).toEqual(['c', 1]);
+        expect(strip(nv.trace())).toEqual(step('object', [], expect.any(Object), 'propagated', [
+            step('callback', ['a'], false, null),
+            step('array', ['b'], false, null, [
+                step('literal', ['b', 0], false, null),
+                step('callback', ['b', 1], false, null, [
+                    step('anyOf', ['b', 1], false, null, [
+                        step('literal', ['b', 1], true, 'set'),
+                        step('optional', ['b', 1], false, null)
+                    ])
+                ])
+            ]),
+            step('map', ['c'], expect.any(Object), 'propagated', [
+                step('oneOf', ['c', 1], expect.any(Object), 'set', [
+                    step('literal', ['c', 1], true, 'set'),
+                    step('literal', ['c', 1], true, 'set')
+                ], true)
+            ])
+        ]));
+        expect(nv.trace().children[0].value).toBe(1);
+        expect(nv.trace().value).toBe(value);
+    });
+
+    test('references and resets', () => {
+        const nv = nonvalid.instance({ trace: true });
+        nv.define('Item', [nv.end, () => nv(nv.ref('Item'))]);
+        expect(nv([[], [[]]], nv.ref('Item'))).toBe(false);
+        const trace = nv.trace();
+        expect(trace.kind).toBe('ref');
+        expect(trace.name).toBe('Item');
+        expect(trace.children[1].children[0].children[0].children[0].path).toEqual([1, 0]);
+
+        const other = nonvalid.instance({ trace: true });
+        expect(other(1, () => other(2, 3) && false)).toBe(false);
+        expect(strip(other.trace())).toEqual(step('callback', [], false, null, [
+            step('literal', [], true, 'set')
+        ]));
+        expect(other.trace().origin).toBe(false);
+    });
+
+    test('error origin', () => {
+        const nv = nonvalid.instance({ trace: true });
+        expect(nv({ a: { b: 1 }, c: 2 }, { a: { b: 1 } })).toBe(true);
+        expect(nv.trace().origin).toBe(true);
+        expect(nv.trace().errorPath).toBe('set');
+        expect(nv.trace().children[0].children[0].origin).toBe(false);
+
+        const all = nonvalid.instance({ trace: true });
+        expect(all.all({ a: 1, b: 2 }, { a: 2, b: () => 'E' })).toEqual([
+            { error: true, path: ['a'] }, { error: 'E', path: ['b'] }
+        ]);
+        expect(all.trace().children.map(child => child.origin)).toEqual([true, false]);
+        expect(all.trace().children.map(child => child.errorPath)).toEqual(['set', null]);
+    });
+
+    test('compiled and asynchronous validation', async () => {
+        const nv = nonvalid.instance({ trace: true });
+        const validate = nv.compile({ a: v => v > 1 });
+        expect(validate({ a: 1 })).toBe(false);
+        expect(nv.trace().children[0].value).toBe(1);
+        expect(validate.parse({ a: 0 }).value).toEqual({ a: 0 });
+        expect(nv.trace().children[0].value).toBe(0);
+        expect(await validate.async({ a: 2 })).toBe(true);
+        expect(strip(nv.trace())).toEqual(step('object', [], true, 'propagated', [
+            step('callback', ['a'], true, 'set', [], true)
+        ]));
+    });
+
+    test('formatting', () => {
+        const nv = nonvalid.instance({ trace: true, structuredErrors: true });
+        nv.define('Name', () => !nv.string() && 'Not a string');
+        nv({ name: 7, tags: ['a'] }, { name: nv.ref('Name'), tags: ['b'] });
+        expect(nonvalid.formatTrace(nv.trace())).toBe([
+            'object at value: an object failed with "Not a string" (errorPath propagated)',
+            '  ref "Name" at value["name"]: 7 failed with "Not a string" '
+                + '(errorPath set, <- error origin)'
+        ].join('\n'));
+
+        const other = nonvalid.instance({ trace: true, structuredErrors: true });
+        other({ tags: ['a'] }, { tags: ['b'] });
+        expect(nonvalid.formatTrace(other.trace())).toBe([
+            'object at value: an object failed: Expected "b", received "a" at value["tags"][0] '
+                + '(errorPath propagated)',
+            '  array at value["tags"]: an array failed: Expected "b", received "a" at value["tags"][0] '
+                + '(errorPath propagated)',
+            '    literal at value["tags"][0]: "a" failed: Expected "b", received "a" at value["tags"][0] '
+                + '(errorPath set, <- error origin)'
+        ].join('\n'));
+
+        expect(() => nonvalid.formatTrace(null))
+            .toThrow('formatTrace() expects a trace returned by trace()');
+    });
+
+    test('misuse', () => {
+        const plain = nonvalid.instance();
+        plain(1, 1);
+        expect(() => plain.trace()).toThrow('trace() requires an instance created with the trace option');
+
+        const nv = nonvalid.instance({ trace: true });
+        expect(() => nv.trace()).toThrow('trace() called before validation is completed');
+        expect(() => nv(1, () => nv.trace())).toThrow('trace() called before validation is completed');
+        expect(nv.trace()).toBe(null);
+    });
+});
+
+describe('coverage', () => {
+    const counts = nv => Object.fromEntries(nv.coverage()
+        .map(node => [node.location, [node.visits, node.errors]]));
+
+    test('counting visits and errors', () => {
+        const nv = nonvalid.instance({ coverage: true });
+        const validate = nv.compile({
+            a: 1,
+            b: nv.optional([nv.end, v => v < 0, 'Not an array']),
+            c: nv.anyOf(null, new Map([['x', 2], [nv.other, () => 'other']])),
+            [nv.other]: () => false,
+            [nv.error]: 'Not an object'
+        });
+        expect(validate({ a: 1, c: null })).toBe(false);
+        expect(validate({ a: 1, b: [1, -1], c: null })).toBe(true);
+        expect(validate.all({ a: 2, b: 'b', c: new Map([['x', 2], ['y', 3]]), d: 4 })
+            .map(({ path }) => path)).toEqual([['a'], ['b'], ['c']]);
+        expect(validate([])).toBe('Not an object');
+        expect(counts(nv)).toEqual({
+            'schema': [4, 3],
+            'schema["a"]': [3, 1],
+            'schema["b"]': [2, 2],
+            'schema["b"][1]': [2, 1],
+            'schema["b"][2]': [1, 1],
+            'schema["c"]': [2, 1],
+            'schema["c"].anyOf[0]': [2, 1],
+            'schema["c"].anyOf[1]': [1, 1],
+            'schema["c"].anyOf[1]["x"]': [1, 0],
+            'schema["c"].anyOf[1][nv.other]': [1, 1],
+            'schema[nv.other]': [1, 0],
+            'schema[nv.error]': [1, 1]
+        });
+        expect(nv.coverage().map(node => node.kind)).toEqual([
+            'object', 'literal', 'optional', 'callback', 'literal', 'anyOf', 'literal', 'map', 'literal',
+            'callback', 'callback', 'literal'
+        ]);
+    });
+
+    test('nested calls, sets, and named schemas', () => {
+        const nv = nonvalid.instance({ coverage: true });
+        nv.define('List', [nv.end, () => nv(nv.ref('List'))]);
+        nv.define('Unused', { a: 1 });
+        const validate = nv.compile([() => nv({ a: 1 }) || nv(nv.value(), { a: () => false }),
+            new Set([1, nv.end, () => false, 'Not a set'])]);
+        expect(validate([{ a: 1 }, new Set([1, 2])])).toBe(false);
+        expect(validate([{ a: 1 }, 3])).toBe('Not a set');
+        expect(nv.compile(nv.ref('List'))([[], [[]]])).toBe(false);
+        expect(counts(nv)).toEqual({
+            'schema': [2, 1],
+            'schema[0]': [2, 0],
+            'schema[0](0)': [2, 0],
+            'schema[0](0)["a"]': [2, 0],
+            'schema[0](1)': [2, 0],
+            'schema[0](1)["a"]': [2, 0],
+            'schema[1]': [2, 1],
+            'schema[1][nv.other]': [1, 0],
+            'schema[1][nv.error]': [1, 1],
+            'schema2': [1, 0],
+            'definitions["List"]': [4, 0],
+            'definitions["List"][1]': [3, 0],
+            'definitions["List"][1](0)': [3, 0],
+            'definitions["Unused"]': [0, 0],
+            'definitions["Unused"]["a"]': [0, 0]
+        });
+        expect(nv.coverage().find(node => node.location === 'schema2')).toEqual({
+            location: 'schema2', kind: 'ref', name: 'List', visits: 1, errors: 0
+        });
+    });
+
+    test('asynchronous validation', async () => {
+        const nv = nonvalid.instance({ coverage: true });
+        const validate = nv.compile({ a: async () => nv({ b: async v => v }) });
+        expect(await validate.async({ a: { b: 'E' } })).toBe('E');
+        expect(await validate.async({ a: { b: 0 } })).toBe(false);
+        expect(counts(nv)).toEqual({
+            'schema': [2, 1],
+            'schema["a"]': [2, 1],
+            'schema["a"](0)': [2, 1],
+            'schema["a"](0)["b"]': [2, 1]
+        });
+    });
+
+    test('formatting', () => {
+        const nv = nonvalid.instance({ coverage: true });
+        nv.compile({ a: 1, [nv.other]: () => 'E' })({ a: 1 });
+        expect(JSON.parse(JSON.stringify(nv.coverage()))).toEqual(nv.coverage());
+        expect(nonvalid.formatCoverage(nv.coverage())).toBe([
+            '2 of 3 schema nodes visited (66%)',
+            'visits  errors  node',
+            '     1       0  schema (object)',
+            '     1       0  schema["a"] (literal)',
+            '     0       0  schema[nv.other] (callback)  <- never visited'
+        ].join('\n'));
+        expect(nonvalid.formatCoverage([]))
+            .toBe('0 of 0 schema nodes visited (100%)\nvisits  errors  node');
+        expect(() => nonvalid.formatCoverage(null))
+            .toThrow('formatCoverage() expects a report returned by coverage()');
+    });
+
+    test('misuse', () => {
+        const plain = nonvalid.instance();
+        expect(() => plain.coverage())
+            .toThrow('coverage() requires an instance created with the coverage option');
+
+        const nv = nonvalid.instance({ coverage: true });
+        expect(nv.coverage()).toEqual([]);
+        expect(() => nv(1, () => nv.coverage())).toThrow('coverage() called during validation');
+    });
+});
+
+describe('messages', () => {
+    const catalog = {
+        'color.invalid': 'Unknown color {color} at {errorPath}',
+        'color.pointer': '{errorPath:pointer} / {errorPath:jsonpath} / {errorPath:dotted} / {{color}}',
+        'color.count': ({ count }, errorPath) => `${count} color${count === 1 ? '' : 's'}`
+            + ` at ${errorPath.join('.')}`
+    };
+
+    test('creating messages', () => {
+        const nv = nonvalid.instance();
+        const params = { color: 'blue' };
+        const message = nv.msg('color.invalid', params);
+        expect(message).toBeInstanceOf(nonvalid.Message);
+        expect(message).toEqual({ code: 'color.invalid', params: { color: 'blue' } });
+        expect(message.params).not.toBe(params);
+        expect(Object.isFrozen(message) && Object.isFrozen(message.params)).toBe(true);
+        expect(nv.msg('empty').params).toEqual({});
+    });
+
+    test('rendering', () => {
+        const nv = nonvalid.instance({ locale: 'en' });
+        expect(nv.addMessages('en', catalog)).toBe(nv);
+        const validate = nv.compile({
+            colors: [nv.end, () => nv.value() !== 'red' && nv.msg('color.invalid', { color: nv.value() })],
+            [nv.error]: nv.msg('color.count', { count: 0 })
+        });
+        const error = validate({ colors: ['red', 'blue'] });
+        expect(error).toBeInstanceOf(nonvalid.Message);
+        expect(nv.render(error)).toBe('Unknown color blue at value["colors"][1]');
+        expect(nv.render(nv.msg('color.pointer'))).toBe('/colors/1 / $.colors[1] / colors.1 / {color}');
+        expect(nv.render(nv.msg('color.count', { count: 1 }))).toBe('1 color at colors.1');
+        expect(nv.render(nv.msg('color.count', { count: 2 }), { path: ['a', 'b'] }))
+            .toBe('2 colors at a.b');
+        expect(nv.render(validate(null), { path: [] })).toBe('0 colors at ');
+        for (const value of ['text', true, false, null, undefined]) {
+            expect(nv.render(value)).toBe(value);
+        }
+    });
+
+    test('rendering collected errors', () => {
+        const nv = nonvalid.instance();
+        nv.addMessages('en', catalog);
+        const entries = nv.all({ colors: ['blue', 'cyan'] }, {
+            colors: [nv.end, () => nv.msg('color.invalid', { color: nv.value() })]
+        });
+        expect(entries.map(({ error, path }) => nv.render(error, { locale: 'en', path }))).toEqual([
+            'Unknown color blue at value["colors"][0]',
+            'Unknown color cyan at value["colors"][1]'
+        ]);
+    });
+
+    test('locales', () => {
+        const nv = nonvalid.instance({ locale: 'uk-UA' });
+        nv.addMessages('en', catalog)
+            .addMessages('uk', { 'color.invalid': 'Невідомий колір {color}' })
+            .addMessages('uk-UA', { 'color.count': 'Кольорів: {count}' });
+        const message = nv.msg('color.invalid', { color: 'синій' });
+        expect(nv.render(message)).toBe('Невідомий колір синій');
+        expect(nv.render(nv.msg('color.count', { count: 3 }))).toBe('Кольорів: 3');
+        expect(nv.render(message, { locale: 'en', path: [] })).toBe('Unknown color синій at value');
+        expect(() => nv.render(message, { locale: 'de' }))
+            .toThrow('Message "color.invalid" is not defined for locale "de"');
+        expect(() => nonvalid.instance().render(message)).toThrow('render() requires a locale');
+    });
+
+    test('misuse', () => {
+        const nv = nonvalid.instance({ locale: 'en' });
+        nv.addMessages('en', catalog);
+        expect(() => nv.msg()).toThrow('msg() expects one or two arguments');
+        expect(() => nv.msg('')).toThrow('Message code must be a non-empty string');
+        expect(() => nv.msg('a', null)).toThrow('Message parameters must be an object');
+        expect(() => nv.addMessages('en')).toThrow('addMessages() expects exactly two arguments');
+        expect(() => nv.addMessages(1, {})).toThrow('Locale must be a non-empty string');
+        expect(() => nv.addMessages('en', [])).toThrow('Message catalog must be an object');
+        expect(() => nv.addMessages('en', { a: 1 }))
+            .toThrow('Message "a" must be either a string or a function');
+        expect(() => nv.addMessages('en', { 'color.invalid': '' }))
+            .toThrow('Message "color.invalid" is already defined for locale "en"');
+        expect(() => nv.render()).toThrow('render() expects one or two arguments');
+        expect(() => nv.render(nv.msg('color.invalid'), { path: [] }))
+            .toThrow('Message "color.invalid" requires the "color" parameter');
+        expect(() => nv.render(nv.msg('color.invalid', { color: 'red' })))
+            .toThrow('Message "color.invalid" refers to the error path, but there is none');
+    });
+});
+
+describe('default values', () => {
+    test('objects', () => {
+        const schema = nv => () => nv({
+            name: () => !nv.string(),
+            port: nv.withDefault(() => !nv.integer() && 'port', 8080),
+            tls: nv.withDefault({ enabled: () => !nv.boolean() }, { enabled: false })
+        });
+        perform({ name: 'a' }, schema, false);
+        perform({ name: 'a', port: 1, tls: { enabled: true } }, schema, false);
+        perform({ name: 'a', port: 'x' }, schema, 'port', null, ['port']);
+        perform({ name: 'a', port: undefined }, schema, 'port', null, ['port']);
+        perform({ name: 'a', tls: {} }, schema, true, null, ['tls', 'enabled']);
+        const broken = nv => () => nv({ port: nv.withDefault(() => !nv.integer() && 'port', '80') });
+        perform({ name: 'a' }, broken, 'port', null, ['port']);
+    });
+
+    test('arrays and maps', () => {
+        const number = nv => nv.withDefault(() => !nv.number() && 'number', 0);
+        perform([1], nv => () => nv([1, number(nv)]), false);
+        perform([1, 'a'], nv => () => nv([1, number(nv)]), 'number', null, [1]);
+        perform([1, , 3], nv => () => nv([1, nv.withDefault(2, 2), 3]), false);
+        perform([1, , 3], nv => () => nv([1, nv.withDefault(2, 5), 3]), true, null, [1]);
+        const map = nv => () => nv(new Map([[1, 'a'], [2, nv.withDefault('b', 'b')]]));
+        perform(new Map([[1, 'a']]), map, false);
+        perform(new Map(), nv => () => nv(new Map([[2, nv.withDefault('b', 'c')]])), true, null, [2]);
+    });
+
+    test('inherited members', () => {
+        const User = class {
+            get name() {
+                return 'bob';
+            }
+        };
+        perform(new User(), nv => () => nv({ name: 'bob' }), false);
+        perform(Object.create({ a: 1 }), nv => () => nv({ a: 1 }), false);
+        perform(Object.create({ a: 1 }), nv => () => nv({ a: nv.withDefault(2, 2) }), false);
+        perform(Object.create({ a: 1 }), nv => () => nv({ a: nv.withDefault(1, 2) }), true, null, ['a']);
+    });
+
+    test('navigation during validation of fallbacks', () => {
+        const nv = nonvalid.instance();
+        const input = { a: 1 };
+        const seen = [];
+        expect(nv(input, {
+            a: 1,
+            b: nv.withDefault(() => {
+                seen.push(nv.value(), nv.up(), nv.root(), nv.path());
+                return false;
+            }, 'fallback')
+        })).toBe(false);
+        expect(seen).toEqual(['fallback', input, input, ['b']]);
+        expect(seen[1]).toBe(input);
+        expect(input).toEqual({ a: 1 });
+    });
+
+    test('parsing', () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({
+            port: nv.withDefault(() => !nv.integer() || nv.replace(String(nv.value())), 8080),
+            tls: nv.withDefault({
+                enabled: () => false,
+                cert: nv.withDefault(() => false, null)
+            }, { enabled: false }),
+            tags: nv.withDefault([nv.end, () => false], []),
+            pair: nv.withDefault([1, nv.withDefault(2, 2)], [1]),
+            note: nv.withDefault(() => false, undefined)
+        });
+        const input = { tls: { enabled: true } };
+        const { value } = validate.parse(input);
+        expect(value).toEqual({
+            port: '8080',
+            tls: { enabled: true, cert: null },
+            tags: [],
+            pair: [1, 2],
+            note: undefined
+        });
+        expect(Object.keys(value)).toEqual(['port', 'tls', 'tags', 'pair', 'note']);
+        expect(input).toEqual({ tls: { enabled: true } });
+        const fallback = validate.parse({}).value;
+        expect(fallback.tls).toEqual({ enabled: false, cert: null });
+        expect(fallback.tags).not.toBe(validate.parse({}).value.tags);
+    });
+
+    test('copying fallbacks', () => {
+        const nv = nonvalid.instance();
+        const settings = { list: [1], map: new Map([['a', { b: 1 }]]), at: new Date(0), tag: Symbol('x') };
+        settings.self = settings;
+        const validate = nv.compile({ settings: nv.withDefault(() => false, settings) });
+        const first = validate.parse({}).value.settings;
+        first.list.push(2);
+        first.map.get('a').b = 2;
+        first.at.setTime(1);
+        const second = validate.parse({}).value.settings;
+        expect(second).toEqual(settings);
+        expect(second.self).toBe(second);
+        expect(settings.list).toEqual([1]);
+        expect(settings.map.get('a')).toEqual({ b: 1 });
+        expect(settings.at.getTime()).toBe(0);
+    });
+
+    test('misuse', () => {
+        const nv = nonvalid.instance();
+        expect(() => nv.withDefault(1)).toThrow(new Error('withDefault() expects exactly two arguments'));
+        expect(() => nv.compile({ a: nv.withDefault({ [nv.other]: 1 }, {}) }))
+            .toThrow(new Error('The catch-other callback must be a function'));
+    });
+});
+
+describe('path expressions', () => {
+    const AT_OUT = 'at() call navigates above the root value';
+    const VALUES = [123, { abc: 123 }, ['abc', 123]];
+
+    test('random trees', () => {
+        for (const value of VALUES) {
+            perform(value, (nv, tree, path) => () => {
+                expect(nv.at('.')).toBe(nv.value());
+                expect(nv.at('')).toBe(nv.value());
+                if (!path.some(key => typeof key === 'symbol')) {
+                    const pointer = nonvalid.formatPath(path, { format: 'pointer' });
+                    expect(nv.at(pointer || '/.')).toBe(nv.value());
+                    if (path.length > 0) {
+                        const last = nonvalid.formatPath(path.slice(-1), { format: 'pointer' });
+                        expect(nv.at('../.' + last)).toBe(nv.value());
+                    }
+                }
+                if (path.length > 0) {
+                    expect(nv.at('..')).toBe(nv.up());
+                    expect(nv.at(Array(path.length).fill('..').join('/'))).toBe(nv.root());
+                }
+                return false;
+            }, false);
+            const above = path => Array(path.length + 1).fill('..').join('/');
+            perform(value, (nv, tree, path) => () => nv.at(above(path)), null, AT_OUT);
+            perform(value, nv => () => nv.at('/..'), null, AT_OUT);
+        }
+    });
+
+    test('resolving paths', () => {
+        const nv = nonvalid.instance();
+        const data = {
+            items: [{ price: 5, quantity: 2 }],
+            'a/b': { '~': 'tilde', '': 'empty' },
+            map: new Map([[1, 'number'], ['2', 'string'], [2, 'shadowed']]),
+            set: new Set([1])
+        };
+        const seen = [];
+        expect(nv(data, {
+            items: [nv.end, () => nv({
+                price: () => {
+                    seen.push(
+                        nv.at('../quantity'), nv.at('../../0/quantity'), nv.at('/items/0/price'),
+                        nv.at('/a~1b/~0'), nv.at('/a~1b/'), nv.at('/map/1'), nv.at('/map/2'),
+                        nv.at('/set/0'), nv.at('/missing/deeper'), nv.at('../price/toFixed'),
+                        nv.at('./../.././0')
+                    );
+                    return false;
+                },
+                quantity: () => false
+            })],
+            [nv.other]: () => false
+        })).toBe(false);
+        expect(seen).toEqual([
+            2, 2, 5, 'tilde', 'empty', 'number', 'string', undefined, undefined, undefined, data.items[0]
+        ]);
+    });
+
+    test('skipped levels', () => {
+        const nv = nonvalid.instance();
+        const data = { a: { b: { c: 'd' } } };
+        expect(nv(data, { a: v => nv(v.b.c, () => {
+            expect(nv.at('..')).toBe(data);
+            expect(nv.at('../a')).toBe('d');
+            expect(nv.at('/a')).toBe(data.a);
+            return false;
+        }) })).toBe(false);
+        const above = nonvalid.instance();
+        expect(() => above(data, { a: v => above(v.b.c, () => above.at('../..')) }))
+            .toThrow(new Error(AT_OUT));
+    });
+
+    test('explicit values', () => {
+        const nv = nonvalid.instance();
+        const data = { a: { b: 1 }, c: [2] };
+        const seen = [];
+        expect(nv(data, {
+            a: () => nv({ q: 7, r: [8] }, {
+                q: () => {
+                    seen.push(nv.at('/a'), nv.at('/a/b'), nv.at('/c/0'), nv.at('..'), nv.at('../r/0'));
+                    seen.push(nv.at('../..'), nv.at('../../c'));
+                    return false;
+                },
+                r: [() => nv(9, () => {
+                    seen.push(nv.at('.'), nv.at('..'), nv.at('../../q'), nv.at('/a/r'));
+                    return false;
+                })]
+            }),
+            c: [() => false]
+        })).toBe(false);
+        expect(seen).toEqual([data.a, 1, 2, { q: 7, r: [8] }, 8, data, data.c, 9, [8], 7, undefined]);
+    });
+
+    test('safe navigation', () => {
+        const nv = nonvalid.instance();
+        expect(nv({ shades: { red: '#f00' }, color: 'red' }, {
+            shades: () => false,
+            color: v => {
+                expect(nv.get(() => nv.at('../shades')[v])).toBe('#f00');
+                expect(nv.get(() => nv.at('/missing').deeper[v])).toBe(undefined);
+                expect(nv.string(() => nv.at('/shades/red'))).toBe(true);
+                expect(nv.get(() => nv.at('/shades')[nv.at('/color')])).toBe('#f00');
+                return !nv.string(() => nv.at('/shades')[v]);
+            }
+        })).toBe(false);
+        const unconsumed = nonvalid.instance();
+        expect(() => unconsumed({ a: 1 }, { a: () => unconsumed.get(() => {
+            unconsumed.at('..');
+            return unconsumed.value();
+        }) })).toThrow(new Error('Value created in safe context was not consumed by any matcher'));
+    });
+
+    test('misuse', () => {
+        const nv = nonvalid.instance();
+        expect(() => nv.at()).toThrow(new Error('at() expects exactly one argument, a path string'));
+        expect(() => nv.at(['..'])).toThrow(new Error('at() expects exactly one argument, a path string'));
+        expect(() => nv.at('..')).toThrow(new Error('at() called outside of any context'));
+        const top = nonvalid.instance();
+        expect(top(1, () => top.at('.') !== 1 || top.at('') !== 1)).toBe(false);
+    });
+});
+
+describe('pattern keys', () => {
+    const schema = nv => () => nv({
+        id: () => !nv.integer() && 'id',
+        'x-id': 'listed',
+        [nv.pattern(/^x-/)]: () => !nv.string() && 'extension',
+        [nv.pattern(/^(x|y)-/i)]: { a: 1 },
+        [nv.other]: () => nv.key() !== 'z' && 'other'
+    });
+
+    test('dispatching keys', () => {
+        perform({ id: 1, 'x-id': 'listed', 'x-a': 'a', 'Y-b': { a: 1 }, z: 0 }, schema, false);
+        perform({ id: 1, 'x-id': 'listed' }, schema, false);
+        perform({ id: 1, 'x-id': 'listed', 'x-a': 1 }, schema, 'extension', null, ['x-a']);
+        perform({ id: 1, 'x-id': 'listed', 'x-': { a: 1 } }, schema, 'extension', null, ['x-']);
+        perform({ id: 1, 'x-id': 'listed', 'y-b': { a: 2 } }, schema, true, null, ['y-b', 'a']);
+        perform({ id: 1, 'x-id': 'listed', x: 'x' }, schema, 'other', null, ['x']);
+        perform({ 'x-id': 'listed', 'x-a': 'a' }, schema, 'id', null, ['id']);
+        const strict = nv => () => nv({ [nv.pattern(/^\d+$/)]: () => false });
+        perform({ 1: 'a', 20: 'b' }, strict, false);
+        perform({ 1: 'a', b: 'b' }, strict, true);
+        perform({ [Symbol('x')]: 1 }, strict, true);
+    });
+
+    test('pattern symbols', () => {
+        const nv = nonvalid.instance();
+        expect(nv.pattern(/^a/)).toBe(nv.pattern(/^a/g));
+        expect(nv.pattern(/^a/)).toBe(nonvalid.instance().pattern(/^a/y));
+        expect(nv.pattern(/^a/)).not.toBe(nv.pattern(/^a/i));
+        expect(nv.pattern(/^a/).toString()).toBe('Symbol(nonvalid.pattern(/^a/))');
+        const sticky = /a/g;
+        const validate = nv.compile({ [nv.pattern(sticky)]: () => false });
+        expect(validate({ a: 1, ba: 2, ab: 3 })).toBe(false);
+        expect(sticky.lastIndex).toBe(0);
+    });
+
+    test('other modes', () => {
+        const nv = nonvalid.instance({ coverage: true });
+        const validate = nv.compile({
+            a: 1,
+            [nv.pattern(/^b/)]: () => !nv.number() && 'b',
+            [nv.pattern(/^c/)]: [nv.end, () => !nv.string() && 'c']
+        });
+        expect(validate.all({ a: 1, b1: 'x', b2: 2, c: [1, 'a', 2] })).toEqual([
+            { error: 'b', path: ['b1'] },
+            { error: 'c', path: ['c', 0] },
+            { error: 'c', path: ['c', 2] }
+        ]);
+        expect(validate.parse({ a: 1, b1: 1, c: ['a'] }).value).toEqual({ a: 1, b1: 1, c: ['a'] });
+        expect(validate({ a: 1, d: 1 })).toBe(true);
+        const counts = nv.coverage().map(node => [node.location, [node.visits, node.errors]]);
+        expect(Object.fromEntries(counts)).toEqual({
+            'schema': [3, 2],
+            'schema["a"]': [3, 0],
+            'schema[nv.pattern(/^b/)]': [3, 1],
+            'schema[nv.pattern(/^c/)]': [2, 1],
+            'schema[nv.pattern(/^c/)][1]': [4, 2]
+        });
+    });
+
+    test('misuse', () => {
+        const nv = nonvalid.instance();
+        expect(() => nv.pattern('^a')).toThrow(new Error('pattern() expects a regular expression'));
+        expect(() => nv.pattern(/a/, /b/)).toThrow(new Error('pattern() expects a regular expression'));
+        expect(() => nv.compile(new Map([[nv.pattern(/^a/), 1]])))
+            .toThrow(new Error('Symbol(nonvalid.pattern(/^a/)) is not expected in a map schema'));
+    });
+});
+
+describe('uniqueness and references', () => {
+    const DUPLICATE = 'duplicate-value';
+    const kindOf = error => error && error.kind;
+
+    test('unique members', () => {
+        const unique = nv => () => kindOf(nv([nv.end, nv.unique()]));
+        perform([1, 2, 3], unique, false);
+        perform([1, 2, 1, 1], unique, DUPLICATE, null, [2]);
+        perform([NaN, 0, -0], unique, DUPLICATE, null, [2]);
+        perform([{}, {}], unique, false);
+        const byId = nv => () => kindOf(nv([nv.end, nv.unique('meta/id')]));
+        perform([{ meta: { id: 1 } }, { meta: {} }, {}, { meta: { id: 2 } }], byId, false);
+        perform([{ meta: { id: 1 } }, { meta: {} }, { meta: { id: 1 } }], byId, DUPLICATE, null, [2]);
+        const object = nv => () => kindOf(nv({ [nv.other]: nv.unique() }));
+        perform({ a: 1, b: 2, c: 1 }, object, DUPLICATE, null, ['c']);
+        const map = new Map([[1, { id: 'a' }], [2, { id: 'a' }]]);
+        perform(map, nv => () => kindOf(nv(new Map([[nv.other, nv.unique('id')]]))), DUPLICATE, null, [2]);
+        const set = new Set([{ id: 'a' }, { id: 'b' }]);
+        perform(set, nv => () => nv(new Set([nv.end, nv.unique('id')])), false);
+        const nv = nonvalid.instance();
+        const error = nv([{ id: 1 }, { id: 1 }], [nv.end, nv.unique('id')]);
+        expect(error).toBeInstanceOf(nonvalid.ValidationError);
+        expect([error.path, error.expected]).toEqual([[1], [0]]);
+    });
+
+    test('references', () => {
+        const data = {
+            'a/b': { customers: [{ id: 1 }, { id: 2 }], tags: ['x', 'y'] },
+            orders: [{ customerId: 2, tags: ['y'] }, { customerId: 3, tags: ['x', 'z'] }]
+        };
+        const nv = nonvalid.instance();
+        const validate = nv.compile({
+            'a/b': () => false,
+            orders: [nv.end, () => nv({
+                customerId: nv.references('/a~1b/customers', 'id'),
+                tags: [nv.end, nv.references('a~1b/tags')]
+            })]
+        });
+        expect(validate.all(data).map(({ path }) => path))
+            .toEqual([['orders', 1, 'customerId'], ['orders', 1, 'tags', 1]]);
+        expect(validate({ 'a/b': {}, orders: [] })).toBe(false);
+        expect(kindOf(validate({ 'a/b': null, orders: [{ customerId: 1, tags: [] }] })))
+            .toBe('missing-reference');
+        expect(nv.errorPath()).toEqual(['orders', 0, 'customerId']);
+        const top = nonvalid.instance();
+        expect(top([1, 2], [nv.end, top.references('')])).toBe(false);
+        const scalar = nonvalid.instance();
+        expect(kindOf(scalar(3, scalar.references('1')))).toBe('missing-reference');
+    });
+
+    test('indexing once per validation', () => {
+        let reads = 0;
+        const customer = id => ({
+            get id() {
+                reads++;
+                return id;
+            }
+        });
+        const data = {
+            customers: [customer(1), customer(2), customer(3)],
+            orders: [1, 2, 3, 2, 1, 3].map(customerId => ({ customerId }))
+        };
+        const nv = nonvalid.instance();
+        const validate = nv.compile({
+            customers: [nv.end, nv.unique('id')],
+            orders: [nv.end, () => nv({ customerId: nv.references('customers', 'id') })]
+        });
+        expect(validate(data)).toBe(false);
+        expect(reads).toBe(6);
+        data.customers.pop();
+        expect(validate(data).expected).toEqual(['customers']);
+        expect(nv.errorPath()).toEqual(['orders', 2, 'customerId']);
+    });
+
+    test('structured errors', () => {
+        const nv = nonvalid.instance({ structuredErrors: true });
+        const validate = nv.compile({
+            customers: [nv.end, () => nv({ id: () => !nv.integer() && 'Invalid id' })
+                || nv(nv.unique('id'))],
+            orders: [nv.end, () => nv({ customerId: nv.references('customers', 'id') })]
+        });
+        const customers = [{ id: 1 }, { id: 2 }, { id: 1 }];
+        const duplicate = validate({ customers, orders: [{ customerId: 2 }] });
+        expect(duplicate).toBeInstanceOf(nonvalid.ValidationError);
+        expect(duplicate.toJSON()).toEqual({
+            name: 'ValidationError',
+            kind: 'duplicate-value',
+            message: 'Duplicate 1 (first found at value["customers"][0]) at value["customers"][2]',
+            expected: ['customers', 0],
+            received: 1,
+            path: ['customers', 2]
+        });
+        const missing = validate({ customers: [{ id: 1 }], orders: [{ customerId: 2 }] });
+        expect(missing.kind).toBe('missing-reference');
+        expect(missing.message)
+            .toBe('No match for 2 in value["customers"] at value["orders"][0]["customerId"]');
+        expect([missing.expected, missing.received]).toEqual([['customers'], 2]);
+        const nested = nonvalid.instance({ structuredErrors: true });
+        const lists = { groups: [new Map([[1, ['a']]])], item: 'b' };
+        const error = nested(lists, { groups: () => false, item: nested.references('/groups/0/1') });
+        expect([error.expected, error.message]).toEqual([
+            ['groups', 0, 1], 'No match for "b" in value["groups"][0][1] at value["item"]'
+        ]);
+    });
+
+    test('misuse', () => {
+        const nv = nonvalid.instance();
+        const UNIQUE = 'unique() expects no arguments or a key path string';
+        const REFERENCES = 'references() expects a collection path and an optional key path';
+        expect(() => nv.unique(1)).toThrow(new Error(UNIQUE));
+        expect(() => nv.unique('a', 'b')).toThrow(new Error(UNIQUE));
+        expect(() => nv.references()).toThrow(new Error(REFERENCES));
+        expect(() => nv.references('a', 1)).toThrow(new Error(REFERENCES));
+        expect(() => nv.references('a', 'b', 'c')).toThrow(new Error(REFERENCES));
+        expect(() => nv(1, nv.unique()))
+            .toThrow(new Error('unique() constraint used outside of any object, array, map, or set'));
+    });
+});
+
+describe('built-in object types', () => {
+    class Point {
+        constructor(x, y) {
+            this.x = x;
+            this.y = y;
+        }
+    }
+
+    test('literal leaves', () => {
+        const same = [
+            [new Date(5), new Date(5)],
+            [new Date(NaN), new Date('invalid')],
+            [/a/gi, new RegExp('a', 'ig')],
+            [new Uint8Array([1, 2]), new Uint8Array([1, 2])],
+            [new Uint8Array([1, 2, 3]).subarray(1), new Uint8Array([2, 3])],
+            [Buffer.from('ab'), Buffer.from('ab')],
+            [new Uint16Array([1]).buffer, new Uint16Array([1]).buffer],
+            [new DataView(new ArrayBuffer(2)), new DataView(new ArrayBuffer(2))]
+        ];
+        for (const [schema, value] of same) {
+            perform(value, schema, false);
+        }
+        const different = [
+            [new Date(5), new Date(6)],
+            [new Date(5), 5],
+            [/a/g, /a/],
+            [/a/, '/a/'],
+            [new Uint8Array([1, 2]), new Uint8Array([1])],
+            [new Uint8Array([1, 2]), new Int8Array([1, 2])],
+            [new Uint8Array([97, 98]), Buffer.from('ab')],
+            [new Uint8Array([1]).buffer, new Uint8Array([1])],
+            [new Date(0), {}]
+        ];
+        for (const [schema, value] of different) {
+            perform(value, schema, true);
+        }
+        const nv = nonvalid.instance();
+        const date = new Date(0);
+        expect(nv.parse({ at: date }, { at: new Date(0) }).value.at).toBe(date);
+    });
+
+    test('object schemas', () => {
+        for (const value of [new Date(0), /a/, new Uint8Array(1), new ArrayBuffer(1), Buffer.alloc(1)]) {
+            perform(value, {}, true);
+            perform(value, { [nonvalid.error]: 'Not an object' }, 'Not an object');
+        }
+        perform(new Point(1, 2), { x: 1, y: 2 }, false);
+        perform(Object.assign(new Date(0), { x: 1 }), nv => () => nv({ x: 1 }), true);
+        const nv = nonvalid.instance({ structuredErrors: true });
+        expect(nv([new Date(0)], [{}]).message)
+            .toBe('Expected an object, received date 1970-01-01T00:00:00.000Z at value[0]');
+    });
+
+    test('plain objects', () => {
+        const schema = nv => () => nv({ x: 1, [nv.other]: () => false });
+        const strict = (value, result) => {
+            const nv = nonvalid.instance({ plainObjects: true });
+            expect(nv(value, schema(nv))).toBe(result);
+        };
+        strict({ x: 1 }, false);
+        strict(Object.assign(Object.create(null), { x: 1 }), false);
+        strict(new Point(1, 2), true);
+        strict(Object.create({ x: 1 }), true);
+        const nv = nonvalid.instance({ plainObjects: true, structuredErrors: true });
+        const error = nv({ origin: new Point(1, 2) }, { origin: { x: 1, y: 2 } });
+        expect([error.kind, error.expected]).toEqual(['shape-mismatch', 'plain object']);
+        expect(error.message)
+            .toBe('Expected a plain object, received an instance of Point at value["origin"]');
+        const custom = nonvalid.instance({ plainObjects: true });
+        expect(custom(new Point(), { [custom.error]: 'Not plain' })).toBe('Not plain');
+        expect(custom.errorPath()).toEqual([]);
+    });
+
+    test('other modes', () => {
+        const nv = nonvalid.instance({ coverage: true, structuredErrors: true });
+        const validate = nv.compile({ at: new Date(0), bytes: new Uint8Array([1, 2]) });
+        expect(validate({ at: new Date(0), bytes: new Uint8Array([1, 2]) })).toBe(false);
+        expect(validate({ at: new Date(0), bytes: new Uint16Array([1, 2]) }).message)
+            .toBe('Expected a Uint8Array, received a Uint16Array at value["bytes"]');
+        expect(nv.coverage().map(({ location, kind }) => [location, kind])).toEqual([
+            ['schema', 'object'], ['schema["at"]', 'literal'], ['schema["bytes"]', 'literal']
+        ]);
+        expect(nv.toJSONSchema({ at: new Date(0), pattern: /a/ })).toEqual({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            properties: { at: false, pattern: false },
+            required: ['at', 'pattern'],
+            additionalProperties: false
+        });
+    });
+});
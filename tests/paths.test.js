@@ -0,0 +1,92 @@
+'use strict';
+
+const nonvalid = require('../src/nonvalid');
+
+const keys = ['users', 0, 'a b', 'x.y/~z', 'it\'s', '\\', 'ключ'];
+
+describe('formatting paths', () => {
+    test('formats', () => {
+        expect(nonvalid.formatPath(keys)).toEqual(keys);
+        expect(nonvalid.formatPath(keys)).not.toBe(keys);
+        expect(nonvalid.formatPath(keys, 'json'))
+            .toBe('json["users"][0]["a b"]["x.y/~z"]["it\'s"]["\\\\"]["ключ"]');
+        expect(nonvalid.formatPath(keys, { format: 'pointer' }))
+            .toBe('/users/0/a b/x.y~1~0z/it\'s/\\/ключ');
+        expect(nonvalid.formatPath(keys, { format: 'jsonpath' }))
+            .toBe('$.users[0][\'a b\'][\'x.y/~z\'][\'it\\\'s\'][\'\\\\\'][\'ключ\']');
+        expect(nonvalid.formatPath(keys, { format: 'dotted' }))
+            .toBe('users.0.a b.x\\.y/~z.it\'s.\\\\.ключ');
+        for (const format of ['js', 'pointer', 'jsonpath', 'dotted']) {
+            expect(nonvalid.formatPath([], { format })).toBe(format === 'jsonpath' ? '$' : '');
+        }
+    });
+
+    test('non-string keys', () => {
+        const path = [Symbol('s'), BigInt(5), NaN, -1, 1.5, { a: [1] }, null];
+        expect(nonvalid.formatPath(path, 'v')).toBe('v[Symbol(s)][5n][NaN][-1][1.5][{"a":[1]}][null]');
+        expect(nonvalid.formatPath(path, { format: 'pointer' }))
+            .toBe('/Symbol(s)/5/NaN/-1/1.5/{"a":[1]}/null');
+        expect(nonvalid.formatPath(path, { format: 'jsonpath' }))
+            .toBe('$[\'Symbol(s)\'][\'5\'].NaN[\'-1\'][\'1.5\'][\'{"a":[1]}\'].null');
+    });
+
+    test('misuse', () => {
+        expect(() => nonvalid.formatPath('a')).toThrow('Path must be an array of keys');
+        expect(() => nonvalid.formatPath([], { format: 'xml' })).toThrow('Unknown path format "xml"');
+    });
+});
+
+describe('parsing paths', () => {
+    test('round trip', () => {
+        for (const format of ['js', 'pointer', 'jsonpath', 'dotted']) {
+            for (const path of [[], keys, ['', ''], [0, '']]) {
+                expect(nonvalid.parsePath(nonvalid.formatPath(path, { format }), format)).toEqual(path);
+            }
+        }
+    });
+
+    test('JS-like paths', () => {
+        expect(nonvalid.parsePath('json')).toEqual([]);
+        expect(nonvalid.parsePath('json["a"][0]["0"]')).toEqual(['a', 0, '0']);
+        expect(nonvalid.parsePath('["]"]["[{"][{"a":"]"}][[1,[2]]]'))
+            .toEqual([']', '[{', { a: ']' }, [1, [2]]]);
+        expect(nonvalid.parsePath('[5n][-2n][null][true][undefined][NaN][-Infinity]'))
+            .toEqual([BigInt(5), BigInt(-2), null, true, undefined, NaN, -Infinity]);
+        const [symbol] = nonvalid.parsePath('[Symbol(a)]b)]');
+        expect(typeof symbol).toBe('symbol');
+        expect(symbol.description).toBe('a)]b');
+        expect(nonvalid.parsePath('[Symbol()]')[0].description).toBe('');
+    });
+
+    test('other formats', () => {
+        expect(nonvalid.parsePath('', 'pointer')).toEqual([]);
+        expect(nonvalid.parsePath('/', 'pointer')).toEqual(['']);
+        expect(nonvalid.parsePath('/a~01/01/10', 'pointer')).toEqual(['a~1', '01', 10]);
+        expect(nonvalid.parsePath('#/a%20b/0', 'pointer')).toEqual(['a b', 0]);
+        expect(nonvalid.parsePath('#', 'pointer')).toEqual([]);
+        expect(nonvalid.parsePath('$["a\\"b"][\'c\\u0041\'].d_1[2]', 'jsonpath'))
+            .toEqual(['a"b', 'cA', 'd_1', 2]);
+        expect(nonvalid.parsePath('a..\\b\\..1', 'dotted')).toEqual(['a', '', 'b.', 1]);
+        expect(nonvalid.parsePath('', 'dotted')).toEqual([]);
+    });
+
+    test('invalid paths', () => {
+        const cases = [
+            ['json[abc]', 'js'], ['json["a"]x', 'js'], ['["a]', 'js'], ['[{"a":1]', 'js'],
+            ['a/b', 'pointer'], ['#%E0', 'pointer'],
+            ['users', 'jsonpath'], ['$.1', 'jsonpath'], ['$[01]', 'jsonpath'], ['$[\'a]', 'jsonpath'],
+            ['$[*]', 'jsonpath'], ['$[\'\\u12\']', 'jsonpath'],
+            ['a\\', 'dotted']
+        ];
+        for (const [string, format] of cases) {
+            expect(() => nonvalid.parsePath(string, format))
+                .toThrow(`Cannot parse "${string}" as a path in the ${format} format`);
+        }
+    });
+
+    test('misuse', () => {
+        expect(() => nonvalid.parsePath()).toThrow('parsePath() expects one or two arguments');
+        expect(() => nonvalid.parsePath([])).toThrow('Path to parse must be a string');
+        expect(() => nonvalid.parsePath('', 'xml')).toThrow('Unknown path format "xml"');
+    });
+});
@@ -0,0 +1,239 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { TextDecoder } = require('util');
+const nonvalid = require('../src/nonvalid');
+
+// Jest's default (jsdom) environment doesn't expose TextDecoder, unlike Node.js and browsers
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const split = (text, size) => {
+    const chunks = [];
+    for (let index = 0; index < text.length; index += size) {
+        chunks.push(text.slice(index, index + size));
+    }
+    return chunks;
+};
+
+const document = {
+    id: 'x-1',
+    items: [{ n: 1 }, { n: 2, tags: ['a', 'b'] }, { n: 3 }],
+    meta: { 'k"\\ey': 'välue', nested: [[], {}], flag: true, nothing: null }
+};
+
+describe('streaming validation', () => {
+    const schema = nv => ({
+        id: () => !nv.string() && 'id',
+        items: [nv.end, () => nv({
+            n: () => !nv.integer() && 'n',
+            tags: nv.optional([nv.end, () => false])
+        })],
+        meta: { 'k"\\ey': 'välue', nested: [[], {}], flag: true, nothing: null }
+    });
+
+    test('chunk boundaries', async () => {
+        const text = JSON.stringify(document, null, 2);
+        const bytes = Buffer.from(text);
+        for (const size of [1, 2, 3, 7, 64, text.length]) {
+            const nv = nonvalid.instance();
+            expect(await nv.stream(split(text, size), schema(nv))).toBe(false);
+            const bytewise = nonvalid.instance();
+            const chunks = [];
+            for (let index = 0; index < bytes.length; index += size) {
+                chunks.push(bytes.subarray(index, index + size));
+            }
+            expect(await bytewise.stream(Readable.from(chunks), schema(bytewise))).toBe(false);
+        }
+    });
+
+    test('errors and error paths', async () => {
+        const invalid = { ...document, items: [{ n: 1 }, { n: 'two' }, { n: 3 }] };
+        const nv = nonvalid.instance();
+        expect(await nv.stream(split(JSON.stringify(invalid), 5), schema(nv))).toBe('n');
+        expect(nv.errorPath()).toEqual(['items', 1, 'n']);
+        const literal = nonvalid.instance();
+        expect(await literal.stream(['{"a": [1, 2, 4]}'], { a: [1, 2, 3] })).toBe(true);
+        expect(literal.errorPath()).toEqual(['a', 2]);
+    });
+
+    test('unexpected and missing keys', async () => {
+        const nv = nonvalid.instance({ structuredErrors: true });
+        const error = await nv.stream(['{"a": 1, "b": {"c": [2]}}'], { a: 1 });
+        expect(error).toBeInstanceOf(nonvalid.ValidationError);
+        expect(error.kind).toBe('unexpected-key');
+        expect(error.received).toEqual({ c: [2] });
+        expect(error.path).toEqual(['b']);
+        const extra = nonvalid.instance();
+        expect(await extra.stream(['[1, 2, 3]'], [1, 2])).toBe(true);
+        const missing = nonvalid.instance();
+        expect(await missing.stream(['{"a": 1}'], { b: () => !missing.undefined() && 'b', a: 1, c: 2 }))
+            .toBe(true);
+        expect(missing.errorPath()).toEqual(['c']);
+        const optional = nonvalid.instance();
+        expect(await optional.stream(['[1]'], [1, optional.optional(2)])).toBe(false);
+    });
+
+    test('document order', async () => {
+        const nv = nonvalid.instance();
+        const order = [];
+        const record = () => {
+            order.push(nv.key());
+            return false;
+        };
+        const text = '{"c": 1, "a": 2, "x": 3}';
+        const schema = { a: record, b: record, c: record, [nv.other]: record };
+        expect(await nv.stream([text], schema)).toBe(false);
+        expect(order).toEqual(['c', 'a', 'x', 'b']);
+    });
+
+    test('partial ancestors', async () => {
+        const nv = nonvalid.instance();
+        const seen = [];
+        const snapshot = value => JSON.parse(JSON.stringify(value));
+        const text = '{"a": 1, "b": [{"c": 2}, {"d": {"e": 3}}], "f": 4}';
+        expect(await nv.stream([text], {
+            a: 1,
+            b: [{ c: 2 }, { d: () => {
+                seen.push(Object.keys(nv.root()), nv.up(1).length, snapshot(nv.up(1)[1]), nv.value());
+                return false;
+            } }],
+            f: () => {
+                seen.push(snapshot(nv.root()));
+                return false;
+            }
+        })).toBe(false);
+        expect(seen[0]).toEqual(['a', 'b']);
+        expect(seen[1]).toBe(2);
+        expect(seen[2]).toEqual({ d: { e: 3 } });
+        expect(seen[3]).toEqual({ e: 3 });
+        expect(seen[4]).toEqual({ a: 1, f: 4 });
+    });
+
+    test('released containers', async () => {
+        const nv = nonvalid.instance();
+        const text = '{"a": {"b": 1}, "c": [[2], 3], "d": 4}';
+        const seen = [];
+        expect(await nv.stream([text], {
+            a: { b: 1 },
+            c: [[2], () => {
+                seen.push(Object.keys(nv.root()), nv.up().length);
+                expect(() => nv.up()[0])
+                    .toThrow(new Error('value["c"][0] has been validated and released'));
+                return false;
+            }],
+            d: () => {
+                expect(() => nv.at('/a/b'))
+                    .toThrow(new Error('value["a"] has been validated and released'));
+                return false;
+            }
+        })).toBe(false);
+        expect(seen).toEqual([['c'], 2]);
+        const other = nonvalid.instance();
+        await expect(other.stream([text], { a: { b: 1 }, c: () => other.up().a.b, d: 4 }))
+            .rejects.toThrow(new Error('value["a"] has been validated and released'));
+    });
+
+    test('default values', async () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({
+            a: nv.withDefault(() => !nv.number() && 'a', 'x'),
+            b: [nv.withDefault(1, 1)]
+        });
+        expect(await validate.stream(['{"a": 1, "b": [1]}'])).toBe(false);
+        expect(await validate.stream(['{"a": 1, "b": []}'])).toBe(false);
+        expect(await validate.stream(['{"b": []}'])).toBe('a');
+        expect(nv.errorPath()).toEqual(['a']);
+    });
+
+    test('pattern keys', async () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({
+            a: 1,
+            [nv.pattern(/^x-/)]: { n: () => !nv.number() && 'n' },
+            [nv.other]: () => 'other'
+        });
+        expect(await validate.stream(['{"x-b": {"n": 2}, "a": 1, "x-c": {"n": 3}}'])).toBe(false);
+        expect(await validate.stream(['{"a": 1, "x-b": {"n": "2"}}'])).toBe('n');
+        expect(nv.errorPath()).toEqual(['x-b', 'n']);
+        expect(await validate.stream(['{"a": 1, "y": 2}'])).toBe('other');
+        expect(nv.errorPath()).toEqual(['y']);
+    });
+
+    test('stopping early', async () => {
+        const nv = nonvalid.instance();
+        let read = 0;
+        const source = Readable.from((function* () {
+            yield '[1, 2, ';
+            read++;
+            yield '3, ';
+            read++;
+            yield '4]';
+        })());
+        expect(await nv.stream(source, [nv.end, () => nv.value() === 2])).toBe(true);
+        expect(nv.errorPath()).toEqual([1]);
+        expect(read).toBe(0);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(source.destroyed).toBe(true);
+    });
+
+    test('asynchronous callbacks and references', async () => {
+        const nv = nonvalid.instance();
+        nv.define('Tree', {
+            value: () => Promise.resolve(!nv.number()),
+            children: [nv.end, () => nv(nv.ref('Tree'))]
+        });
+        const tree = '{"value": 1, "children": [{"value": 2, "children": []}, '
+            + '{"value": "3", "children": []}]}';
+        expect(await nv.stream(split(tree, 4), nv.ref('Tree'))).toBe(true);
+        expect(nv.errorPath()).toEqual(['children', 1, 'value']);
+    });
+
+    test('malformed input', async () => {
+        const cases = [
+            ['{"a": 1', 'Unexpected end of JSON input'],
+            ['{"a": 1} x', 'Unexpected non-whitespace character after JSON in JSON at position 9'],
+            ['{"a" 1}', 'Unexpected token "1" in JSON at position 5'],
+            ['[1, tru]', 'Unexpected token "tru" in JSON at position 4'],
+            ['["a\\x"]', 'Bad string in JSON at position 5'],
+            ['', 'Unexpected end of JSON input']
+        ];
+        for (const [text, message] of cases) {
+            const nv = nonvalid.instance();
+            await expect(nv.stream(split(text, 2), () => false)).rejects.toThrow(new SyntaxError(message));
+        }
+        const invalid = nonvalid.instance();
+        expect(await invalid.stream(['[2]', ' x'], [1])).toBe(true);
+    });
+
+    test('compiled schemas', async () => {
+        const nv = nonvalid.instance();
+        const validate = nv.compile({ a: [nv.end, () => !nv.number()] });
+        expect(await validate.stream(['{"a": [1, 2]}'])).toBe(false);
+        await expect(validate.stream(['{"a": ['])).rejects.toThrow(SyntaxError);
+        expect(await validate.stream(['{"a": [1, "2"]}'])).toBe(true);
+        expect(nv.errorPath()).toEqual(['a', 1]);
+        expect(validate({ a: [] })).toBe(false);
+    });
+
+    test('abortion', async () => {
+        const controller = new AbortController();
+        const nv = nonvalid.instance();
+        const pending = nv.stream(['[1, 2]'], [nv.end, () => new Promise(() => {})], {
+            signal: controller.signal
+        });
+        controller.abort();
+        await expect(pending).rejects.toThrow();
+    });
+
+    test('misuse', async () => {
+        const nv = nonvalid.instance();
+        await expect(nv.stream('[]', []))
+            .rejects.toThrow('stream() expects an iterable or async iterable of chunks');
+        const unique = nonvalid.instance();
+        await expect(unique.stream(['[1, 2]'], [unique.end, unique.unique()]))
+            .rejects.toThrow('unique() constraints are not supported by stream()');
+        const nested = nonvalid.instance();
+        await expect(nested.stream(['[1]'], () => nested.stream(['1'], 1)))
+            .rejects.toThrow('stream() called during validation');
+    });
+});
@@ -0,0 +1,337 @@
+declare const otherSymbol: unique symbol;
+declare const errorSymbol: unique symbol;
+declare const endSymbol: unique symbol;
+declare const optionalSymbol: unique symbol;
+declare const alternativesSymbol: unique symbol;
+declare const refSymbol: unique symbol;
+
+declare namespace nonvalid {
+    type OtherSymbol = typeof otherSymbol;
+    type ErrorSymbol = typeof errorSymbol;
+    type EndSymbol = typeof endSymbol;
+
+    type Key = string | number | symbol;
+    type Path = unknown[];
+
+    type PathFormat = 'js' | 'pointer' | 'jsonpath' | 'dotted';
+
+    interface PathOptions {
+        format?: PathFormat;
+        /** The name of the topmost value in the `'js'` format. */
+        name?: string;
+    }
+
+    type Callback = (value: any, key: any) => unknown;
+
+    interface ErrorEntry {
+        error: unknown;
+        path: Path;
+    }
+
+    type JSONSchema = boolean | { [keyword: string]: unknown };
+
+    interface ParseResult {
+        value: unknown;
+        error: unknown;
+        errorPath: Path | null;
+    }
+
+    interface InstanceOptions {
+        structuredErrors?: boolean;
+        trace?: boolean;
+        coverage?: boolean;
+        locale?: string;
+        plainObjects?: boolean;
+    }
+
+    /**
+     * An error code with parameters created by `nv.msg()`.
+     */
+    interface Message {
+        readonly code: string;
+        readonly params: Readonly<Record<string, unknown>>;
+    }
+
+    interface MessageConstructor {
+        new (code: string, params: Readonly<Record<string, unknown>>): Message;
+        readonly prototype: Message;
+    }
+
+    type MessageTemplate =
+        string | ((params: Readonly<Record<string, unknown>>, errorPath: Path | null) => string);
+
+    interface RenderOptions {
+        locale?: string;
+        path?: Path | null;
+    }
+
+    type TraceKind =
+        'literal' | 'callback' | 'object' | 'array' | 'map' | 'set'
+        | 'optional' | 'default' | 'anyOf' | 'oneOf' | 'ref';
+
+    /**
+     * A step of validation recorded by an instance created with `trace: true`.
+     */
+    interface TraceEntry {
+        kind: TraceKind;
+        /** The name of the referenced schema, for `'ref'` steps. */
+        name?: string;
+        path: Path;
+        value: unknown;
+        result: unknown;
+        errorPath: 'set' | 'propagated' | 'reset' | null;
+        origin: boolean;
+        children: TraceEntry[];
+    }
+
+    /**
+     * Visit and error counts of a schema node collected by an instance created with `coverage: true`.
+     */
+    interface CoverageNode {
+        location: string;
+        kind: TraceKind;
+        /** The name of the referenced schema, for `'ref'` nodes. */
+        name?: string;
+        visits: number;
+        errors: number;
+    }
+
+    type ValidationErrorKind =
+        'literal-mismatch' | 'unexpected-key' | 'unexpected-index' | 'shape-mismatch' | 'missing-member'
+        | 'duplicate-value' | 'missing-reference';
+
+    /**
+     * An error reported by an instance created with `structuredErrors: true`.
+     */
+    interface ValidationError extends Error {
+        readonly kind: ValidationErrorKind;
+        readonly expected: unknown;
+        readonly received: unknown;
+        readonly path: Path;
+        toJSON(): {
+            name: string;
+            kind: ValidationErrorKind;
+            message: string;
+            expected: unknown;
+            received: unknown;
+            path: Path;
+        };
+    }
+
+    interface ValidationErrorConstructor {
+        new (kind: ValidationErrorKind, expected: unknown, received: unknown, path: Path): ValidationError;
+        readonly prototype: ValidationError;
+    }
+
+    interface AsyncOptions {
+        signal?: AbortSignal;
+    }
+
+    /**
+     * Chunks of JSON text accepted by `nv.stream()`.
+     */
+    type JSONSource = AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>;
+
+    /**
+     * A schema node created by `nv.optional()`.
+     */
+    interface Optional<S = unknown> {
+        readonly [optionalSymbol]: S;
+    }
+
+    /**
+     * A schema node created by `nv.withDefault()`. Valid values may lack it, just like optional keys.
+     */
+    interface WithDefault<S = unknown> extends Optional<S> {
+        readonly fallback: unknown;
+    }
+
+    /**
+     * A schema node created by `nv.anyOf()` or `nv.oneOf()`.
+     */
+    interface Alternatives<S extends readonly unknown[] = unknown[]> {
+        readonly [alternativesSymbol]: S;
+    }
+
+    /**
+     * A schema node created by `nv.ref()`. Named schemas are resolved at run time, so the values
+     * they validate are inferred as `unknown`.
+     */
+    interface Ref<N extends string = string> {
+        readonly [refSymbol]: N;
+    }
+
+    interface BranchResult {
+        error: unknown;
+        path: Path | null;
+    }
+
+    type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+    type InferArray<S extends readonly unknown[], Result extends unknown[] = []> =
+        S extends readonly [infer Head, ...infer Tail]
+            ? Head extends EndSymbol
+                ? Extract<Tail[number], Callback> extends never ? Result : [...Result, ...unknown[]]
+                : Head extends Optional<infer O>
+                    ? InferArray<Tail, [...Result, Infer<O>?]>
+                    : InferArray<Tail, [...Result, Infer<Head>]>
+            : S extends readonly [] ? Result : unknown[];
+
+    /**
+     * A key created by `nv.pattern()`. Its type is not unique, so keys that match it are inferred
+     * as `string` keys of unknown values.
+     */
+    type PatternKey = symbol;
+
+    type InferObject<S> = Simplify<{
+        -readonly [K in keyof S as K extends OtherSymbol | ErrorSymbol ? never
+            : symbol extends K ? never : S[K] extends Optional ? never : K]: Infer<S[K]>
+    } & {
+        -readonly [K in keyof S as symbol extends K ? never
+            : S[K] extends Optional ? K : never]?: Infer<S[K]>
+    } & (S extends { [otherSymbol]: Callback } ? { [key: string | symbol]: unknown }
+        : symbol extends keyof S ? { [key: string]: unknown } : {})>;
+
+    /**
+     * The type of values that are valid against the schema `S`. Callbacks cannot be inspected,
+     * so the values they validate are inferred as `unknown`.
+     */
+    type Infer<S> =
+        S extends Callback | Ref ? unknown
+        : S extends Optional<infer O> ? Infer<O>
+        : S extends Alternatives<infer A> ? Infer<A[number]>
+        : S extends ReadonlyMap<any, any> ? Map<unknown, unknown>
+        : S extends ReadonlySet<any> ? Set<unknown>
+        : S extends Date | RegExp | ArrayBuffer | ArrayBufferView ? S
+        : S extends readonly unknown[] ? InferArray<S>
+        : S extends object ? InferObject<S>
+        : S;
+
+    interface Matcher<T = unknown> {
+        (): boolean;
+        (navigate: () => unknown): boolean;
+        (value: unknown): value is T;
+    }
+
+    type Sized = string | unknown[] | Map<unknown, unknown> | Set<unknown>;
+
+    type TypedArray = Int8Array | Uint8Array | Uint8ClampedArray | Int16Array | Uint16Array | Int32Array
+        | Uint32Array | Float32Array | Float64Array | BigInt64Array | BigUint64Array;
+
+    type CustomMatcher<R = unknown> = (value?: unknown) => R;
+
+    interface Compiled {
+        (value: unknown): unknown;
+        all(value: unknown): ErrorEntry[];
+        async(value: unknown, options?: AsyncOptions): Promise<unknown>;
+        stream(source: JSONSource, options?: AsyncOptions): Promise<unknown>;
+        parse(value: unknown): ParseResult;
+    }
+
+    interface Instance {
+        (value: unknown, schema: unknown): unknown;
+        (schema: unknown): unknown;
+
+        is<const S>(value: unknown, schema: S): value is Infer<S>;
+        all(value: unknown, schema: unknown): ErrorEntry[];
+        async(value: unknown, schema: unknown, options?: AsyncOptions): Promise<unknown>;
+        stream(source: JSONSource, schema: unknown, options?: AsyncOptions): Promise<unknown>;
+        parse(value: unknown, schema: unknown): ParseResult;
+        replace(newValue: unknown): false;
+        optional<const S>(subschema: S): Optional<S>;
+        /** The indexed access keeps `S` from being inferred from the fallback (`NoInfer` needs TS 5.4). */
+        withDefault<const S>(subschema: S, fallback: [Infer<S>][S extends any ? 0 : never]): WithDefault<S>;
+        pattern(regexp: RegExp): PatternKey;
+        unique(key?: string): Callback;
+        references(collection: string, key?: string): Callback;
+        anyOf<const S extends readonly unknown[]>(...schemas: S): Alternatives<S>;
+        oneOf<const S extends readonly unknown[]>(...schemas: S): Alternatives<S>;
+        msg(code: string, params?: Record<string, unknown>): Message;
+        addMessages(locale: string, catalog: Record<string, MessageTemplate>): this;
+        render(error: Message, options?: RenderOptions): string;
+        render(error: unknown, options?: RenderOptions): unknown;
+        define(name: string, schema: unknown): this;
+        ref<N extends string>(name: N): Ref<N>;
+        compile(schema: unknown): Compiled;
+        fromJSONSchema(document: JSONSchema): Callback;
+        toJSONSchema(schema: unknown): JSONSchema;
+        annotate<F extends (...args: any[]) => unknown>(
+            func: F,
+            annotation: JSONSchema | ((...args: any[]) => unknown)
+        ): F;
+
+        addMatcher<N extends string | symbol, R>(name: N, func: (value: any) => R): this & {
+            [K in N]: CustomMatcher<R>
+        };
+        addMatcher<R>(namedFunc: (value: any) => R): this & { [name: string]: CustomMatcher<R> };
+
+        path(): Path;
+        path(format: string | PathOptions): string;
+        errorPath(): Path | null;
+        errorPath(format: string | PathOptions): string | null;
+        trace(): TraceEntry | null;
+        coverage(): CoverageNode[];
+
+        key(): any;
+        index(): number;
+        value(): any;
+        root(): any;
+        up(levels?: number): any;
+        at(path: string): any;
+
+        readonly other: OtherSymbol;
+        readonly error: ErrorSymbol;
+        readonly end: EndSymbol;
+
+        number: Matcher<number>;
+        string: Matcher<string>;
+        boolean: Matcher<boolean>;
+        null: Matcher<null>;
+        undefined: Matcher<undefined>;
+        defined: Matcher<{} | null>;
+        bigint: Matcher<bigint>;
+        symbol: Matcher<symbol>;
+        function: Matcher<(...args: any[]) => unknown>;
+        array: Matcher<unknown[]>;
+        object: Matcher<{ [key: string | symbol]: unknown }>;
+        map: Matcher<Map<unknown, unknown>>;
+        set: Matcher<Set<unknown>>;
+        /** Rejects invalid dates; use `instanceOf(Date)` to accept them as well. */
+        date: Matcher<Date>;
+        regexp: Matcher<RegExp>;
+        arrayBuffer: Matcher<ArrayBuffer>;
+        typedArray: Matcher<TypedArray>;
+        /** Node.js `Buffer`, which extends `Uint8Array`. */
+        buffer: Matcher<Uint8Array>;
+        integer: Matcher<number>;
+        isoDate: Matcher<string>;
+        email: Matcher<string>;
+        uuid: Matcher<string>;
+        url: Matcher<string>;
+        range(min?: number | bigint, max?: number | bigint): Matcher<number | bigint>;
+        size(min?: number, max?: number): Matcher<Sized>;
+        matches(regexp: RegExp): Matcher<string>;
+        oneOfValues<const T extends readonly unknown[]>(values: T): Matcher<T[number]>;
+        instanceOf<T>(constructor: abstract new (...args: any[]) => T): Matcher<T>;
+        get: {
+            (): any;
+            (navigate: () => unknown): any;
+            <T>(value: T): T;
+        };
+    }
+
+    interface DefaultInstance extends Instance {
+        instance(options?: InstanceOptions): Instance;
+        ValidationError: ValidationErrorConstructor;
+        Message: MessageConstructor;
+        formatPath(path: Path): Path;
+        formatPath(path: Path, format: string | PathOptions): string;
+        parsePath(path: string, format?: PathFormat): Path;
+        formatTrace(trace: TraceEntry): string;
+        formatCoverage(report: CoverageNode[]): string;
+    }
+}
+
+declare const nonvalid: nonvalid.DefaultInstance;
+
+export = nonvalid;
@@ -0,0 +1,144 @@
+import nonvalid = require('./nonvalid');
+
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+const check = <T extends true>() => {};
+
+const nv = nonvalid.instance();
+
+const person = {
+    name: (v: unknown) => !nv.string(v) && 'Name must be a string',
+    age: 42,
+    role: 'admin',
+    tags: [nv.end, () => !nv.string()],
+    position: [1, 2],
+    extra: { [nv.other]: () => false, [nv.error]: 'Must be an object' }
+} as const;
+
+check<Equals<nonvalid.Infer<typeof person>, {
+    name: unknown;
+    age: 42;
+    role: 'admin';
+    tags: unknown[];
+    position: [1, 2];
+    extra: { [key: string | symbol]: unknown };
+}>>();
+
+check<Equals<nonvalid.Infer<[1, typeof nv.end, () => false, 'error']>, [1, ...unknown[]]>>();
+check<Equals<nonvalid.Infer<[1, 'a', typeof nv.end, 'error']>, [1, 'a']>>();
+check<Equals<nonvalid.Infer<Map<string, number>>, Map<unknown, unknown>>>();
+check<Equals<nonvalid.Infer<null>, null>>();
+const optionalSchema = { a: 1, b: nv.optional({ c: 'x' }), d: [1, nv.optional(2)] } as const;
+check<Equals<nonvalid.Infer<typeof optionalSchema>, { a: 1; b?: { c: 'x' }; d: [1, 2?] }>>();
+check<Equals<nonvalid.Infer<[nonvalid.Optional<1>, 2]>, [1 | undefined, 2]>>();
+const defaultSchema = { a: nv.withDefault({ b: 'x' }, { b: 'x' }), c: [1, nv.withDefault(2, 2)] } as const;
+check<Equals<nonvalid.Infer<typeof defaultSchema>, { a?: { b: 'x' }; c: [1, 2?] }>>();
+// @ts-expect-error the fallback must be a valid value
+nv.withDefault({ b: 'x' }, { b: 'y' });
+const patternSchema = { id: 1, [nv.pattern(/^x-/)]: () => false } as const;
+check<Equals<nonvalid.Infer<typeof patternSchema>, { id: 1; [key: string]: unknown }>>();
+const alternatives = nv.anyOf({ a: 1 }, [2, 'x'], nv.oneOf(null, 'y'));
+check<Equals<nonvalid.Infer<typeof alternatives>, { a: 1 } | [2, 'x'] | null | 'y'>>();
+check<Equals<nonvalid.Infer<nonvalid.Alternatives<[1, () => false]>>, unknown>>();
+check<Equals<nonvalid.Infer<{ at: Date; bytes: Uint8Array }>, { at: Date; bytes: Uint8Array }>>();
+
+declare const value: unknown;
+if (nv.is(value, { id: 1, name: () => !nv.string() })) {
+    check<Equals<typeof value, { id: 1; name: unknown }>>();
+}
+if (nv.string(value)) {
+    check<Equals<typeof value, string>>();
+}
+class Point {
+    constructor(public x: number) {}
+}
+if (nv.instanceOf(Point)(value)) {
+    check<Equals<typeof value, Point>>();
+}
+if (nv.typedArray(value)) {
+    const length: number = value.byteLength;
+}
+const strict = nonvalid.instance({ plainObjects: true });
+const binary: boolean = strict.arrayBuffer(new ArrayBuffer(1)) || strict.buffer(new Uint8Array(1));
+const dated: boolean = strict.date(new Date()) && strict.regexp(/a/) && binary;
+
+const error: unknown = nv(value, [nv.end, () => !nv.number()]);
+const entries: nonvalid.ErrorEntry[] = nv.all(value, {});
+const signal = new AbortController().signal;
+const pending: Promise<unknown> = nv.async(value, async () => false, { signal });
+const streamed: Promise<unknown> = nv.stream(['{"a":', new Uint8Array([49, 125])], { a: 1 }, { signal });
+const validate = nv.compile({ a: 1 });
+const message: nonvalid.Message = nv.msg('color.invalid', { key: 'color' });
+const rendered: string = nv.addMessages('en', {
+    'color.invalid': 'Invalid {key} at {errorPath:pointer}',
+    'color.missing': (params, errorPath) => `${String(params.key)} is missing at ${errorPath}`
+}).render(message, { locale: 'en', path: ['color'] });
+const unrendered: unknown = nv.render(error);
+const isMessage: boolean = error instanceof nonvalid.Message;
+const restreamed: Promise<unknown> = validate.stream((async function* () { yield '{"a":1}'; })());
+const imported: nonvalid.Callback = nv.fromJSONSchema({ type: 'object', required: ['a'] });
+const exported: nonvalid.JSONSchema = nv.toJSONSchema({
+    a: imported,
+    b: nv.annotate(() => !nv.string(), nv.string)
+});
+const annotated: (v: number) => boolean = nv.annotate((v: number) => v > 0, { type: 'number' });
+const constrained: nonvalid.Callback[] = [nv.unique(), nv.unique('id'), nv.references('customers', 'id')];
+const duplicate: nonvalid.ValidationErrorKind = 'duplicate-value';
+const compiledError: unknown = validate({ a: 1 });
+const parsed: nonvalid.ParseResult = nv.parse(value, { a: () => nv.replace(1) });
+const reparsed: unknown = validate.parse({ a: 1 }).value;
+const path: string | null = nv.errorPath('json');
+const keys: unknown[] | null = nv.errorPath();
+const matched: boolean = nv.number(() => nv.root().a) && nv.string(() => nv.at('../b/~1c'));
+if (nv.oneOfValues(['a', 'b'])(value)) {
+    check<Equals<typeof value, 'a' | 'b'>>();
+}
+const ranged: boolean = nv.range(0, 10)() && nv.size(1)(() => nv.value().tags) && nv.matches(/^a/)('abc');
+const got: number = nv.get(5);
+
+const extended = nv.addMatcher('positive', (n: unknown) => nv.number(n) && n > 0);
+const positive: boolean = extended.positive();
+
+// @ts-expect-error index() returns a number
+const index: string = nv.index();
+// @ts-expect-error path() accepts a name or options only
+nv.path(1);
+// @ts-expect-error unknown path format
+nv.path({ format: 'xpath' });
+
+export {
+    error, entries, pending, streamed, restreamed, imported, exported, annotated, compiledError, parsed,
+    reparsed, message, rendered, unrendered, isMessage, path, keys, matched, ranged, got, positive, index
+};
+
+const structured = nonvalid.instance({ structuredErrors: true });
+const failure = structured({ a: 2 }, { a: 1 });
+if (failure instanceof nonvalid.ValidationError) {
+    const kind: nonvalid.ValidationErrorKind = failure.kind;
+    const failurePath: unknown[] = failure.path;
+    const message: string = failure.toJSON().message;
+    check<Equals<typeof failure, nonvalid.ValidationError>>();
+}
+// @ts-expect-error options must be an object
+nonvalid.instance(true);
+
+const pointer: string | null = nv.errorPath({ format: 'pointer' });
+const jsonPath: string = nonvalid.formatPath(['a', 0], { format: 'jsonpath' });
+const parsedPath: unknown[] = nonvalid.parsePath(jsonPath, 'jsonpath');
+const copiedPath: unknown[] = nonvalid.formatPath(['a', 0]);
+
+const traced = nonvalid.instance({ trace: true });
+traced(1, 1);
+const traceRoot = traced.trace();
+if (traceRoot) {
+    const kind: nonvalid.TraceKind = traceRoot.kind;
+    const steps: nonvalid.TraceEntry[] = traceRoot.children;
+    const printed: string = nonvalid.formatTrace(traceRoot);
+}
+
+const covered = nonvalid.instance({ coverage: true });
+const report: nonvalid.CoverageNode[] = covered.coverage();
+const summary: string = nonvalid.formatCoverage(report);
+
+const registry = nonvalid.instance().define('Node', { next: nonvalid.ref('Node') });
+check<Equals<nonvalid.Infer<{ head: nonvalid.Ref<'Node'>; size: 1 }>, { head: unknown; size: 1 }>>();
+check<Equals<ReturnType<typeof registry.ref<'Node'>>, nonvalid.Ref<'Node'>>>();